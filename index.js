@@ -3,8 +3,41 @@
  * Features:
  * - Real-time sync: POST each message turn as it happens
  * - Full conversation sync: POST entire chat on idle timeout
- * - Offline buffer: queue messages when laptop unreachable, batch sync later
- * - Duplicate detection: hash-based dedup prevents double-logging
+ * - Offline buffer: queue messages when laptop unreachable, batch upload later
+ *   with per-item backoff and a dead-letter list; kept in IndexedDB with
+ *   JSONL export/import of the pending queue
+ * - Connectivity monitor: probes with backoff after online/visibility events
+ *   or failed requests and flushes on reconnect; status pill in the corner
+ * - Multi-tab: one leader tab (Web Locks / BroadcastChannel) syncs, flushes
+ *   and runs the idle timer; payloads carry a device/tab `origin`
+ * - Duplicate detection: per-chat ledger of message identity + SHA-256 digest
+ * - Delta sync: after the first full upload, only new/changed messages are sent
+ * - Change propagation: edits, swipes and deletions follow stable message IDs
+ * - Message controls: per-message buttons to send now, exclude from memory
+ *   or pin as important (stored in the message's extra data)
+ * - Memory recall: inject relevant OpenClaw memories into the prompt
+ * - Memory lorebook: OpenClaw memory as World Info entries keyed per
+ *   character; edits and deletions made in ST are reported back
+ * - Authentication: optional bearer token and HMAC-SHA256 signed bodies
+ * - Encryption (optional): passphrase AES-GCM for payloads on the wire and
+ *   for buffered items at rest, with KDF parameters from the receiver
+ * - Endpoint profiles: several URLs tried in priority order, with failover
+ * - Output adapters: per endpoint, OpenClaw native, webhook JSON template,
+ *   OpenAI chat JSONL or Markdown, with a live preview
+ * - Attribution: real speaker per message, group members and user persona
+ * - Turn metadata (optional): API/model, tokens, send dates, swipe count,
+ *   reasoning and image/file attachments
+ * - Privacy: include/exclude rules per character, chat or tag, and redaction
+ *   of PII / custom patterns before anything leaves the device
+ * - Backfill: upload saved chats of chosen characters/groups, oldest first
+ * - Activity log: every request with status, latency and size; re-send/export
+ * - Session summaries: condense new turns with ST's quiet generation on idle
+ *   or chat switch and send them as `summary` payloads
+ * - Slash commands: /ocsync now|flush|status|pause|resume|exclude|note|lorebook
+ * - Localization: settings panel and notifications in English, Traditional
+ *   Chinese and Japanese, following ST's UI language or a manual override
+ * - Versioned protocol: schemaVersion on every payload and a capabilities
+ *   handshake that adapts to (and reports) what the receiver supports
  * - All settings configurable from ST UI
  */
 
@@ -12,39 +45,137 @@
 const EXTENSION_NAME = 'openclaw-sync';
 const DEFAULT_SYNC_URL = 'http://10.0.0.172:4000/st-sync';
 const SETTINGS_STORAGE_KEY = 'openclaw_sync_settings';
+const SYNC_SCHEMA_VERSION = 1;    // stamped on every payload; bump on incompatible shape changes
 
 const defaultSettings = {
     enabled: true,
-    syncUrl: DEFAULT_SYNC_URL,
+    syncUrl: DEFAULT_SYNC_URL,    // legacy single endpoint, migrated into `endpoints`
+
+    // Endpoint profiles, tried in list order: { id, name, url, enabled }
+    endpoints: [],
+    lastGoodEndpointId: null,     // tried first next time
+    characterRoutes: {},          // character name → endpoint id (exclusive)
 
     // Real-time sync (per-message)
     realtimeSync: true,
+    messageButtons: true,         // send now / pin / exclude on each chat message
 
     // Full conversation sync
     fullConversationSync: true,
     idleTimeoutMinutes: 5,        // sync full conversation after N minutes idle
+    deltaSync: true,              // send only what the server hasn't acknowledged
 
     // Offline buffer
     offlineBuffer: true,
-    maxBufferSize: 100,           // max queued messages before oldest are dropped
+    maxBufferSize: 100,           // max queued messages before oldest move to dead letters
+    flushBatchSize: 25,           // payloads per batch request
+
+    // Optional metadata on `message` payloads (see TURN_METADATA_GROUPS)
+    turnMetadata: { generation: false, tokens: false, sendDate: false, swipes: false, reasoning: false, attachments: false },
+    attachmentMode: 'reference',  // 'reference' (URL only) or 'inline' (base64)
 
     // Dedup
     dedup: true,
 
+    // Online / offline / queued pill outside the settings drawer
+    connectivityIndicator: true,
+
+    // End-to-end encryption (passphrase lives with the credentials)
+    encryption: false,
+
+    // Privacy — rules are one per line: char:Name / chat:ID / tag:Name
+    syncExcludeRules: '',
+    syncIncludeRules: '',         // non-empty → only matching chats are synced
+    redactBuiltins: { email: true, phone: true, creditCard: true, twId: true, address: false },
+    redactRules: '',              // one per line: regex => replacement
+
+    // Memory recall (OpenClaw → ST prompt)
+    memoryRecall: false,
+    recallDepth: 4,               // inject N messages from the bottom of the chat
+    recallTokenBudget: 400,       // max tokens of injected memory
+    recallQueryTurns: 4,          // recent messages sent as the recall query
+    recallDisabledCharacters: [], // characters that never get memory injected
+
+    // Memory lorebook (OpenClaw memory → World Info, edits reported back)
+    memoryLorebook: false,
+    lorebookName: 'OpenClaw Memory',
+
+    // Session summaries (ST quiet generation → `summary` payloads)
+    sessionSummary: false,
+    summaryMinMessages: 4,        // fewer new messages than this are left for next time
+    summaryPrompt: '',            // empty → DEFAULT_SUMMARY_PROMPT
+
+    // Historical backfill
+    backfillDelayMs: 1500,        // pause between uploads
+
     // Notifications
     showNotifications: true,
     showErrors: false,            // show error toasts (noisy when offline)
+    language: 'auto',             // 'auto' follows ST's UI language, else a LOCALES key
 
     // Internal state
     lastSyncTime: null,
+    pausedUntil: 0,               // epoch ms; PAUSED_INDEFINITELY until resumed
 };
 
 // ─── State ─────────────────────────────────────────────────────
 let idleTimer = null;
 let lastSyncedChatId = null;
-let syncedHashes = new Set();     // hashes of already-synced messages
-const HASH_STORAGE_KEY = 'openclaw_sync_hashes';
+let knownMessageIds = [];         // IDs present in the open chat, for spotting deletions
+let deltaUnsupported = false;     // receiver ignored a delta this session
+let batchUnsupported = false;     // receiver doesn't answer batches with per-item results
+let flushInProgress = false;
+let flushFailures = 0;            // consecutive network failures while flushing
+let flushRetryAt = 0;             // no automatic flush before this time
+let bufferWarningShown = false;
+let backfillRunning = false;
+let summaryTail = null;           // unsummarized messages of the open chat, kept for after a chat switch
+let summaryInProgress = false;
+let lorebookInProgress = false;
+const LEGACY_HASH_STORAGE_KEY = 'openclaw_sync_hashes'; // pre-ledger dedup, removed on load
+// Pre-IndexedDB copies, migrated on load (and used if IndexedDB is unavailable)
+const LEDGER_STORAGE_KEY = 'openclaw_sync_ledger';
 const BUFFER_STORAGE_KEY = 'openclaw_sync_buffer';
+const DEAD_LETTER_STORAGE_KEY = 'openclaw_sync_dead_letters';
+const DB_NAME = 'openclaw_sync';
+const DB_VERSION = 1;
+const LOCAL_SALT_STORAGE_KEY = 'openclaw_sync_local_salt';
+const PBKDF2_ITERATIONS = 310000; // for the at-rest key; the receiver picks its own
+const MAX_DEAD_LETTERS = 500;
+const MAX_FLUSH_ATTEMPTS = 8;     // server-side failures before an item is dead-lettered
+const FLUSH_BACKOFF_BASE_MS = 5000;
+const FLUSH_BACKOFF_MAX_MS = 30 * 60 * 1000;
+const PROBE_TIMEOUT_MS = 5000;
+const PROBE_BACKOFF_MAX_MS = 5 * 60 * 1000; // longest wait between probes while unreachable
+const PROBE_RECHECK_MS = 60 * 1000;         // while online with items still waiting out their backoff
+const DEVICE_ID_STORAGE_KEY = 'openclaw_sync_device_id';
+const TAB_LOCK_NAME = 'openclaw_sync_leader';
+const TAB_CHANNEL_NAME = 'openclaw_sync';
+const LEADERSHIP_WAIT_MS = 3000;  // a follower tab's event is dropped if taking over takes longer
+const BUFFER_WARN_RATIO = 0.8;    // warn when the buffer is this full
+const CURSOR_STORAGE_KEY = 'openclaw_sync_cursors';
+const MAX_TRACKED_CHATS = 50;     // conversation cursors kept before the oldest is forgotten
+const SUMMARY_STORAGE_KEY = 'openclaw_sync_summaries';
+const SUMMARY_MAX_MESSAGES = 150; // messages fed to one summary; longer tails take several
+const CAPABILITIES_STORAGE_KEY = 'openclaw_sync_capabilities';
+// Payload types this version sends; a receiver lacking one gets a warning
+const PAYLOAD_TYPES = ['message', 'full_conversation', 'conversation_delta', 'update', 'swipe', 'retract', 'note', 'summary', 'history', 'recall', 'memory_pull', 'memory_edit', 'batch'];
+const HEALTH_STORAGE_KEY = 'openclaw_sync_endpoint_health';
+const ENDPOINT_TIMEOUT_MS = 20000; // per attempt, before failing over
+const ACTIVITY_STORAGE_KEY = 'openclaw_sync_activity';
+const MAX_ACTIVITY_ENTRIES = 200;
+const MAX_ACTIVITY_CHARS = 1024 * 1024; // serialized log; localStorage holds ~5 MB (UTF-16) for every key
+const MAX_LOGGED_PAYLOAD_BYTES = 64 * 1024; // bigger payloads are logged without a copy
+const BACKFILL_STORAGE_KEY = 'openclaw_sync_backfill';
+const BACKFILL_PART_SIZE = 200;   // messages per history payload
+const PAUSED_INDEFINITELY = Number.MAX_SAFE_INTEGER;
+const CREDENTIALS_STORAGE_KEY = 'openclaw_sync_credentials'; // kept out of settings.json
+const RECALL_PROMPT_KEY = 'openclaw_sync_recall';
+const RECALL_TIMEOUT_MS = 4000;    // don't hold up generation when offline
+const PROMPT_POSITION_IN_CHAT = 1; // extension_prompt_types.IN_CHAT
+const PROMPT_ROLE_SYSTEM = 0;      // extension_prompt_roles.SYSTEM
+const LOREBOOK_STORAGE_KEY = 'openclaw_sync_lorebook';
+const LOREBOOK_POSITION = 1;       // world_info_position.after (character definitions)
 
 // ─── Helpers ───────────────────────────────────────────────────
 
@@ -68,6 +199,37 @@ function getSettings() {
             }
         }
     } catch (_) { }
+    // Single syncUrl → endpoint profiles (pre-profile installs)
+    if (!Array.isArray(s.endpoints) || s.endpoints.length === 0) {
+        s.endpoints = [{ id: 'default', name: 'Home', url: s.syncUrl || DEFAULT_SYNC_URL, enabled: true }];
+    }
+    return s;
+}
+
+function isSyncPaused() {
+    return getSettings().pausedUntil > Date.now();
+}
+
+/** Pause for N minutes, or until resumed when minutes is 0 */
+function pauseSync(minutes) {
+    const until = minutes > 0 ? Date.now() + minutes * 60 * 1000 : PAUSED_INDEFINITELY;
+    updateSettings(s => { s.pausedUntil = until; });
+    log(`⏸️ Sync paused ${minutes > 0 ? `for ${minutes} min` : 'until resumed'}`);
+    renderConnectivityIndicator();
+    return until;
+}
+
+function resumeSync() {
+    updateSettings(s => { s.pausedUntil = 0; });
+    log('▶️ Sync resumed');
+    renderConnectivityIndicator();
+}
+
+/** Mutate settings and persist in one go (getSettings() re-reads localStorage) */
+function updateSettings(fn) {
+    const s = getSettings();
+    fn(s);
+    persistSettings(s);
     return s;
 }
 
@@ -87,10 +249,13 @@ function log(msg) {
     console.log(`[OpenClaw-Sync] ${msg}`);
 }
 
+/** Chat owner: the character, or the group name in group chats */
 function getCharacterName() {
     try {
         if (typeof SillyTavern !== 'undefined' && SillyTavern.getContext) {
             const ctx = SillyTavern.getContext();
+            const group = getCurrentGroup();
+            if (group && group.name) return group.name;
             if (ctx.name2) return ctx.name2;
             if (ctx.characterId !== undefined && ctx.characters) {
                 const char = ctx.characters[ctx.characterId];
@@ -101,9 +266,100 @@ function getCharacterName() {
     return 'Unknown';
 }
 
-/** Simple hash for dedup */
-function hashMessage(userMsg, assistantMsg) {
-    const str = (userMsg || '').substring(0, 200) + '|' + (assistantMsg || '').substring(0, 200);
+function newMessageId() {
+    if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+        return crypto.randomUUID();
+    }
+    // randomUUID needs a secure context; plain-http LAN access doesn't have one
+    return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 10);
+}
+
+/**
+ * Stable ID for a chat message, stored in its extra data so it survives
+ * edits, swipes, reordering and reloads. Created on first use.
+ */
+function getMessageId(msg) {
+    if (!msg) return '';
+    const id = peekMessageId(msg) || newMessageId();
+    if (!msg.extra) msg.extra = {};
+    msg.extra.openclaw_id = id;
+    // ST replaces `extra` with the per-swipe copy when swiping, so stamp those too
+    for (const info of msg.swipe_info || []) {
+        if (info && info.extra) info.extra.openclaw_id = id;
+    }
+    return id;
+}
+
+/** Existing ID of a message, without creating one */
+function peekMessageId(msg) {
+    if (!msg) return '';
+    if (msg.extra?.openclaw_id) return msg.extra.openclaw_id;
+    for (const info of msg.swipe_info || []) {
+        if (info?.extra?.openclaw_id) return info.extra.openclaw_id;
+    }
+    return '';
+}
+
+/** Save the open chat, so IDs stamped into it (and flags) survive a reload */
+function saveOpenChat() {
+    try {
+        SillyTavern.getContext().saveChat?.();
+    } catch (_) { }
+}
+
+function snapshotMessageIds(chat) {
+    knownMessageIds = (chat || []).map(peekMessageId).filter(Boolean);
+}
+
+/** The open group chat as { id, name, members: [character names] }, or null */
+function getCurrentGroup() {
+    try {
+        const ctx = SillyTavern.getContext();
+        if (!ctx.groupId) return null;
+        const group = (ctx.groups || []).find(g => g.id === ctx.groupId);
+        if (!group) return { id: ctx.groupId, name: '', members: [] };
+        const members = (group.members || []).map(avatar => {
+            const char = (ctx.characters || []).find(c => c.avatar === avatar);
+            return char ? char.name : avatar;
+        });
+        return { id: group.id, name: group.name || '', members };
+    } catch (_) { return null; }
+}
+
+/** The user's active persona as { name, avatar } */
+function getPersona() {
+    try {
+        const ctx = SillyTavern.getContext();
+        const name = ctx.name1 || 'User';
+        // Persona locked to this chat, else whatever the last user message was sent as
+        let avatar = ctx.chatMetadata?.persona || '';
+        if (!avatar) {
+            const lastUser = [...(ctx.chat || [])].reverse().find(m => m && m.is_user && m.force_avatar);
+            if (lastUser) avatar = decodeURIComponent(lastUser.force_avatar.split('/').pop().split('?')[0]);
+        }
+        if (!avatar) {
+            const personas = ctx.powerUserSettings?.personas || {};
+            avatar = Object.keys(personas).find(key => personas[key] === name) || '';
+        }
+        return { name, avatar };
+    } catch (_) {
+        return { name: 'User', avatar: '' };
+    }
+}
+
+/** Who actually wrote a message — group member, persona, or the character */
+function getSpeakerName(msg) {
+    if (msg && msg.name) return msg.name;
+    return msg && msg.is_user ? getPersona().name : getCharacterName();
+}
+
+/** Group and persona fields shared by every chat payload */
+function getAttribution() {
+    return { group: getCurrentGroup(), persona: getPersona() };
+}
+
+/** Cheap 32-bit string hash — change detection only, not identity */
+function hashString(str) {
     let hash = 0;
     for (let i = 0; i < str.length; i++) {
         const chr = str.charCodeAt(i);
@@ -113,283 +369,4799 @@ function hashMessage(userMsg, assistantMsg) {
     return hash.toString(36);
 }
 
-/** Load synced hashes from localStorage */
-function loadSyncedHashes() {
+// ─── Localization ──────────────────────────────────────────────
+// UI text lives in per-language bundles keyed by message id. The language
+// follows SillyTavern's UI language unless overridden in 🔔; a key missing
+// from a bundle falls back to English. Console logs stay in English.
+
+const LOCALE_NAMES = { en: 'English', 'zh-TW': '繁體中文', ja: '日本語' };
+let activeLocale = null;
+
+/** ST's UI language mapped onto one of our bundles */
+function detectLocale() {
+    let language = '';
     try {
-        const stored = localStorage.getItem(HASH_STORAGE_KEY);
-        if (stored) {
-            const arr = JSON.parse(stored);
-            syncedHashes = new Set(arr.slice(-500)); // keep last 500
-        }
+        language = SillyTavern.getContext().getCurrentLocale?.() || '';
     } catch (_) { }
+    language = String(language || localStorage.getItem('language') || navigator.language || 'en').toLowerCase();
+    if (language.startsWith('zh')) return 'zh-TW';
+    if (language.startsWith('ja')) return 'ja';
+    return 'en';
 }
 
-/** Save synced hashes to localStorage */
-function saveSyncedHashes() {
-    try {
-        const arr = [...syncedHashes].slice(-500);
-        localStorage.setItem(HASH_STORAGE_KEY, JSON.stringify(arr));
-    } catch (_) { }
+/** Re-resolve the active bundle from the `language` setting */
+function applyLocale() {
+    const chosen = getSettings().language;
+    activeLocale = LOCALES[chosen] ? chosen : detectLocale();
+    return activeLocale;
 }
 
-// ─── Offline Buffer ────────────────────────────────────────────
+/** Localized text for `key`, with {name} placeholders filled from `vars` */
+function t(key, vars = {}) {
+    const bundle = LOCALES[activeLocale || applyLocale()];
+    const text = bundle[key] ?? LOCALES.en[key] ?? key;
+    return text.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? String(vars[name]) : match));
+}
 
-function getBuffer() {
-    try {
-        const stored = localStorage.getItem(BUFFER_STORAGE_KEY);
-        return stored ? JSON.parse(stored) : [];
-    } catch (_) { return []; }
+const LOCALES = {
+    en: {
+        'toast.store_write_failed': 'Offline data could not be written to browser storage: {error}',
+
+        'redact.email': 'Email',
+        'redact.credit_card': 'Credit card',
+        'redact.phone': 'Phone',
+        'redact.tw_id': 'Taiwan ID number',
+        'redact.address': 'Address',
+
+        'crypto.no_passphrase': 'Encryption is on but no passphrase is set',
+        'crypto.no_params': 'The receiver sent no encryption parameters; test the connection first',
+        'crypto.native_only': 'Encryption only works with the OpenClaw native format',
+        'crypto.insecure_context': 'This page isn\'t HTTPS or localhost, so the browser has no WebCrypto: requests can\'t be signed or encrypted and stay in the buffer. Open SillyTavern over HTTPS or localhost, or clear the signing secret and encryption.',
+
+        'adapter.openclaw': 'OpenClaw (native)',
+        'adapter.webhook': 'Webhook (JSON template)',
+        'adapter.openai_jsonl': 'OpenAI chat JSONL',
+        'adapter.markdown': 'Markdown',
+        'adapter.bad_template': 'The webhook template is not valid JSON: {error}',
+        'adapter.skips_type': '{adapter} does not output {type}',
+
+        'caps.legacy': 'The receiver doesn\'t report its capabilities (older proxy); running in compatibility mode',
+        'caps.version_mismatch': 'Protocol version mismatch: the receiver supports v{theirs}, this extension uses v{ours}',
+        'caps.no_message': 'The receiver doesn\'t accept message, so nothing can be synced',
+        'caps.skipped': 'Not supported by the receiver, will be skipped: {types}',
+        'caps.no_batch': 'No batch uploads; the buffer is sent one item at a time',
+        'caps.no_delta': 'No delta sync; conversations are always sent whole',
+        'caps.token_required': 'The receiver requires a bearer token, but none is set',
+        'caps.signature_required': 'The receiver requires signatures, but no signing secret is set',
+        'caps.signature_unchecked': 'The receiver doesn\'t check signatures',
+        'caps.adapter_encryption': 'Encryption only works with the OpenClaw native format; this endpoint receives nothing',
+        'caps.receiver_unencrypted': 'Encryption is on, but the receiver has no passphrase set',
+        'caps.receiver_encrypted': 'The receiver requires encryption; turn it on with the same passphrase',
+        'caps.one_way': 'One-way endpoints have no handshake; check what is sent with the format preview',
+        'caps.auth_failed': 'Authentication failed (HTTP {status}); check the token / signing secret',
+        'caps.key_mismatch': 'The passphrase doesn\'t match the receiver\'s',
+
+        'toast.resent': 'Sent again',
+        'toast.resend_failed': 'Resend failed: {error}',
+        'toast.dead_letters_full': 'The failed list is full; discarded the oldest {count}',
+        'toast.buffer_almost_full': 'The offline buffer is almost full ({count}/{max}); overflow moves to the failed list',
+        'toast.flushed': 'Uploaded {count} queued offline messages',
+        'toast.synced': 'Synced',
+        'toast.offline_buffered': 'Offline, saved to the buffer',
+        'toast.delta_synced': 'Conversation changes synced',
+        'toast.full_synced': 'Full conversation synced ({count} messages)',
+        'toast.message_excluded_first': 'This message is excluded; include it again first',
+        'toast.leader_unavailable': 'Another tab is syncing and couldn\'t be taken over',
+        'toast.message_included': 'This message will be sent with the next full sync',
+        'toast.message_excluded': 'Message excluded; it won\'t go into memory',
+        'toast.summary_failed': 'Summary failed: {error}',
+        'toast.history_unsupported': 'The receiver doesn\'t support backfill (history)',
+        'toast.backfill_done': 'Backfill finished ({count} chats)',
+        'toast.paused_for': 'Sync paused for {minutes} minutes',
+        'toast.paused': 'Sync paused',
+        'toast.excluded_rule': 'Excluded {rule}',
+        'toast.need_endpoint': 'At least one endpoint is required',
+        'toast.lorebook_synced': '{created} added, {updated} updated, {removed} removed',
+        'toast.bf_choose': 'Choose characters or groups first',
+        'toast.bf_failed': 'Backfill failed: {error}',
+        'toast.imported': 'Imported {count}',
+        'toast.import_skipped': ', skipped {count} duplicates',
+        'toast.import_invalid': ', {count} invalid lines',
+        'toast.copied': 'Payload copied',
+        'toast.saved': 'Settings saved',
+        'toast.language': 'Language changed; reload the page to update the settings panel',
+
+        'confirm.clear_ledger': 'Clear the sync records of "{chat}"? Its messages may be synced again.',
+        'confirm.bf_restart': 'A backfill is unfinished. Start over?',
+        'confirm.bf_cancel': 'Cancel the backfill? What was uploaded won\'t be uploaded twice.',
+        'confirm.clear_activity': 'Clear the whole activity log?',
+        'confirm.clear_dead': 'Permanently delete {count} failed sync items?',
+
+        'status.sent': '✅ Sent',
+        'status.queued': '📦 Saved to the buffer',
+        'status.message_excluded': '🚫 This chat or message is excluded',
+        'status.chat_excluded': '🚫 This chat is excluded',
+        'status.sync_disabled': 'Sync is turned off',
+        'status.send_failed': '❌ Sending failed',
+        'status.summarizing': 'Summarizing...',
+        'status.summary_unsupported': '⚠️ The receiver doesn\'t support summary',
+        'status.summary_disabled': 'Turn on summaries first',
+        'status.too_few': 'Not enough new messages',
+        'status.summary_busy': 'A summary is already running',
+        'status.failed': '❌ Failed',
+        'status.syncing': 'Syncing...',
+        'status.not_synced': '❌ Not synced (see the console)',
+        'status.testing': 'Testing...',
+        'status.no_endpoint': '❌ No endpoint enabled',
+        'status.test_mismatch': '⚠️ {name}: version or settings mismatch',
+        'status.test_ok': '✅ {name} connected',
+        'status.synced': '✅ Synced',
+        'status.saved': '✅ Saved!',
+
+        'pill.follower': '👥 Another tab is syncing',
+        'pill.follower_title': 'OpenClaw Sync: another tab handles syncing',
+        'pill.paused': '⏸️ Paused',
+        'pill.online': '🟢 Online',
+        'pill.offline': '🔴 Offline',
+        'pill.checking': '⚪ Checking',
+        'pill.queued': '{state} · {count} queued',
+        'pill.title': 'OpenClaw Sync: click to check now',
+        'pill.last_probe': 'Last check: {time}',
+        'pill.next_probe': 'Next check: {time}',
+
+        'ui.leader': '👑 This tab does the syncing',
+        'ui.follower': '👥 Another tab syncs (this tab takes over when you chat here)',
+
+        'meta.generation': 'API / model',
+        'meta.tokens': 'Token counts',
+        'meta.send_date': 'Send times',
+        'meta.swipes': 'Swipe count',
+        'meta.reasoning': 'Reasoning',
+        'meta.attachments': 'Images / files',
+
+        'mes.send': 'Send to OpenClaw now',
+        'mes.pin': 'Pin as important',
+        'mes.exclude': 'Exclude from memory',
+
+        'lorebook.status': '{count} entries · last synced {time}',
+        'lorebook.never': 'Not synced yet',
+
+        'bf.offline_paused': 'Unreachable, paused',
+        'bf.leader_paused': 'Another tab took over syncing, paused',
+        'bf.listing': 'Listing chats...',
+        'bf.running': 'Backfilling',
+        'bf.paused': 'Paused',
+        'bf.done': 'Done',
+        'bf.progress': '{label}: {next} / {total} chats',
+        'bf.skipped': '{count} excluded by rules',
+        'bf.failed': '{count} couldn\'t be read',
+
+        'receiver.none': 'No handshake yet',
+        'receiver.one_way': '{server} (one-way)',
+        'receiver.legacy': 'Older receiver (no capabilities reported)',
+        'receiver.generic': 'Receiver',
+        'receiver.protocol': '{name} · protocol v{versions}',
+
+        'health.untested': 'Not tested yet',
+
+        'ep.enabled': 'Enabled',
+        'ep.name': 'Name',
+        'ep.adapter': 'Output format',
+        'ep.format': 'Template and preview',
+        'ep.test': 'Test this endpoint',
+        'ep.up': 'Move up',
+        'ep.down': 'Move down',
+        'ep.remove': 'Remove',
+        'ep.template': 'Template',
+        'ep.preview': 'Preview',
+        'ep.preview_message': 'Latest turn',
+        'ep.preview_full': 'Full conversation',
+        'ep.template_reset': 'Restore default template',
+
+        'preview.chat_excluded': '⛔ This chat matches an exclude rule; nothing is sent',
+        'preview.no_messages': '(The current chat has no messages)',
+        'preview.no_reply': '(The current chat has no AI reply to preview)',
+        'preview.turn_excluded': '🙈 The last turn is excluded and won\'t be sent',
+        'preview.invalid_rule': '⚠️ Invalid rule skipped: {rule}',
+        'preview.nothing': '(Nothing to output)',
+
+        'storage.summary': 'Stored in {backend}: queue {buffer} · failed {dead} · dedup records {ledger}',
+        'storage.locked': '🔒 {count} undecryptable',
+        'storage.used': '{used} of {quota} used',
+
+        'list.empty': '(No records)',
+
+        'ledger.view': 'View',
+        'ledger.clear': 'Clear',
+        'ledger.no_id': '(no ID)',
+        'ledger.row': '{chat} — {count} entries',
+
+        'act.resend': 'Resend',
+        'act.copy': 'Copy payload',
+        'act.too_large': 'Payload too large, not kept',
+
+        'route.auto': '(Automatic, by priority)',
+
+        'ui.connection': 'Connection',
+        'ui.enabled': 'Enable sync',
+        'ui.endpoints': 'Sync endpoints (in priority order)',
+        'ui.add_endpoint': '+ Add endpoint',
+        'ui.route': 'Route for the current character ({name})',
+        'ui.auth': 'Authentication',
+        'ui.optional': '(optional)',
+        'ui.secret': 'HMAC signing secret',
+        'ui.encrypt': 'End-to-end encryption (AES-GCM)',
+        'ui.passphrase': 'Encryption passphrase',
+        'ui.passphrase_hint': 'Same as ST_SYNC_PASSPHRASE on the receiver',
+        'ui.credentials_note': 'Kept in this browser only, never written to settings.json. Signing and encryption need HTTPS or localhost.',
+        'ui.realtime': 'Real-time sync',
+        'ui.realtime_enable': 'Sync every message as it arrives',
+        'ui.message_buttons': 'Show buttons on messages (send now / pin / exclude)',
+        'ui.turn_meta': 'Include',
+        'ui.attach_mode': 'Attachments',
+        'ui.attach_reference': 'URL only',
+        'ui.attach_inline': 'Embed files (base64, up to 2 MB)',
+        'ui.fullsync': 'Full conversation sync',
+        'ui.fullsync_enable': 'Sync the whole conversation when idle',
+        'ui.idle': 'Sync after idle for',
+        'ui.minutes': 'minutes',
+        'ui.delta': 'Send only new or changed messages',
+        'ui.summary': 'Session summaries',
+        'ui.summary_enable': 'Summarize when idle or switching chats',
+        'ui.summary_min': 'Minimum new messages',
+        'ui.summary_prompt': 'Summary prompt',
+        'ui.summary_prompt_help': 'Empty = built-in prompt. Available: {{char}}, {{user}}, {{previous}} (last summary), {{transcript}} (new messages)',
+        'ui.summary_now': 'Summarize now',
+        'ui.buffer': 'Offline buffer',
+        'ui.buffer_enable': 'Queue messages while offline',
+        'ui.buffer_max': 'Buffer limit',
+        'ui.items': 'items',
+        'ui.batch': 'Per batch',
+        'ui.dead_count': 'Failed list: {count}',
+        'ui.dead_retry': 'Retry failed items',
+        'ui.dead_clear': 'Clear failed items',
+        'ui.queue_export': 'Export queue (JSONL)',
+        'ui.queue_import': 'Import queue',
+        'ui.indicator': 'Show connection status in the corner',
+        'ui.dedup': 'Duplicate detection',
+        'ui.dedup_enable': 'Don\'t sync duplicate messages again',
+        'ui.ledger': 'Synced records (per chat)',
+        'ui.refresh': 'Refresh',
+        'ui.privacy': 'Privacy',
+        'ui.rules_help': 'One rule per line: <code>char:Name</code>, <code>chat:ChatID</code>, <code>tag:Tag</code>',
+        'ui.exclude_rules': 'Never sync',
+        'ui.include_rules': 'Only sync (empty = all)',
+        'ui.redact': 'Redact',
+        'ui.redact_rules': 'Custom redaction (<code>regex =&gt; replacement</code>)',
+        'ui.preview': 'Preview what is sent',
+        'ui.recall': 'Memory recall',
+        'ui.recall_enable': 'Fetch relevant OpenClaw memories before each generation',
+        'ui.recall_char': 'On for the current character ({name})',
+        'ui.recall_depth': 'Injection depth',
+        'ui.recall_budget': 'Token budget',
+        'ui.recall_turns': 'Query uses the last',
+        'ui.messages': 'messages',
+        'ui.lorebook': 'Memory lorebook',
+        'ui.lorebook_enable': 'Write OpenClaw memory into World Info',
+        'ui.lorebook_name': 'Lorebook name',
+        'ui.lorebook_help': 'One entry per character and day, keyed by the character name and the proper nouns in it. Entries edited or deleted in ST are reported to OpenClaw. Remember to activate this lorebook in World Info.',
+        'ui.lorebook_now': 'Sync lorebook now',
+        'ui.notifications': 'Notifications',
+        'ui.notify': 'Notify on successful sync',
+        'ui.errors': 'Show error notifications',
+        'ui.language': 'Language',
+        'ui.language_auto': 'Follow SillyTavern',
+        'ui.test': 'Test',
+        'ui.test_connection': 'Test connection',
+        'ui.flush': 'Send queued messages',
+        'ui.sync_now': 'Sync full conversation',
+        'ui.buffer_status': 'Buffer: {count} | Last sync: {last}',
+        'ui.paused': '⏸️ Paused',
+        'ui.paused_until': '⏸️ Paused until {time}',
+        'ui.backfill': 'Backfill',
+        'ui.bf_all': 'All characters and groups',
+        'ui.bf_delay': 'Delay between uploads',
+        'ui.ms': 'ms',
+        'ui.bf_start': 'Start backfill',
+        'ui.bf_pause': 'Pause',
+        'ui.bf_resume': 'Resume',
+        'ui.bf_cancel': 'Cancel',
+        'ui.activity': 'Activity log',
+        'ui.act_all_types': 'All types',
+        'ui.act_all': 'All',
+        'ui.act_ok': 'Succeeded',
+        'ui.act_failed': 'Failed',
+        'ui.act_search': 'Search chat / character / error',
+        'ui.act_export': 'Export JSONL',
+        'ui.act_clear': 'Clear log',
+        'ui.save_title': 'Save',
+        'ui.save': 'Save settings',
+    },
+    'zh-TW': {
+        'toast.store_write_failed': '離線資料無法寫入瀏覽器儲存空間：{error}',
+
+        'redact.email': 'Email',
+        'redact.credit_card': '信用卡',
+        'redact.phone': '電話',
+        'redact.tw_id': '身分證字號',
+        'redact.address': '地址',
+
+        'crypto.no_passphrase': '已啟用加密但未設定密語',
+        'crypto.no_params': '接收端未提供加密參數，請先測試連線',
+        'crypto.native_only': '加密只適用於 OpenClaw 原生格式',
+        'crypto.insecure_context': '此頁面不是 HTTPS 或 localhost，瀏覽器沒有 WebCrypto：無法簽章或加密，請求會一直留在 buffer。請用 HTTPS 或 localhost 開啟 SillyTavern，或清除簽章密鑰並關閉加密。',
+
+        'adapter.openclaw': 'OpenClaw (原生)',
+        'adapter.webhook': 'Webhook (JSON 範本)',
+        'adapter.openai_jsonl': 'OpenAI 對話 JSONL',
+        'adapter.markdown': 'Markdown',
+        'adapter.bad_template': 'Webhook 範本不是有效的 JSON：{error}',
+        'adapter.skips_type': '{adapter} 不輸出 {type}',
+
+        'caps.legacy': '接收端未回報能力（舊版 proxy），以相容模式運作',
+        'caps.version_mismatch': '協定版本不符：接收端支援 v{theirs}，擴充功能使用 v{ours}',
+        'caps.no_message': '接收端不接受 message，無法同步',
+        'caps.skipped': '接收端不支援，將略過：{types}',
+        'caps.no_batch': '不支援批次上傳，buffer 將逐筆上傳',
+        'caps.no_delta': '不支援增量同步，一律完整同步',
+        'caps.token_required': '接收端要求 Bearer Token，但尚未設定',
+        'caps.signature_required': '接收端要求簽章，但尚未設定簽章密鑰',
+        'caps.signature_unchecked': '接收端不驗證簽章',
+        'caps.adapter_encryption': '加密只適用於 OpenClaw 原生格式，此端點不會收到資料',
+        'caps.receiver_unencrypted': '已啟用加密，但接收端未設定密語',
+        'caps.receiver_encrypted': '接收端要求加密，請啟用並設定相同密語',
+        'caps.one_way': '單向輸出端點不進行握手，請用格式預覽確認送出內容',
+        'caps.auth_failed': '驗證失敗 (HTTP {status})，請檢查 Token / 簽章密鑰',
+        'caps.key_mismatch': '加密密語與接收端不符',
+
+        'toast.resent': '已重新傳送',
+        'toast.resend_failed': '重送失敗: {error}',
+        'toast.dead_letters_full': '失敗清單已滿，捨棄最舊的 {count} 條',
+        'toast.buffer_almost_full': '離線 buffer 快滿了 ({count}/{max})，超出的訊息會移到失敗清單',
+        'toast.flushed': '已補同步 {count} 條離線訊息',
+        'toast.synced': '已同步',
+        'toast.offline_buffered': '離線中，已存入 buffer',
+        'toast.delta_synced': '對話變更已同步',
+        'toast.full_synced': '完整對話已同步 ({count} 條)',
+        'toast.message_excluded_first': '此訊息已排除，請先取消排除',
+        'toast.leader_unavailable': '另一個分頁正在同步，無法接手',
+        'toast.message_included': '此訊息會在下次完整同步時送出',
+        'toast.message_excluded': '已排除此訊息，不會寫入記憶',
+        'toast.summary_failed': '摘要失敗：{error}',
+        'toast.history_unsupported': '接收端不支援歷史回填 (history)',
+        'toast.backfill_done': '歷史回填完成 ({count} 個聊天)',
+        'toast.paused_for': '同步暫停 {minutes} 分鐘',
+        'toast.paused': '同步已暫停',
+        'toast.excluded_rule': '已排除 {rule}',
+        'toast.need_endpoint': '至少需要一個端點',
+        'toast.lorebook_synced': '新增 {created}、更新 {updated}、移除 {removed} 條',
+        'toast.bf_choose': '請先選擇角色或群組',
+        'toast.bf_failed': '回填失敗: {error}',
+        'toast.imported': '已匯入 {count} 條',
+        'toast.import_skipped': '，略過重複 {count} 條',
+        'toast.import_invalid': '，無效 {count} 行',
+        'toast.copied': '已複製 payload',
+        'toast.saved': '設定已儲存',
+        'toast.language': '語言已變更，重新載入頁面後設定面板會更新',
+
+        'confirm.clear_ledger': '清除「{chat}」的同步紀錄？之後這些訊息可能會再次同步。',
+        'confirm.bf_restart': '已有未完成的回填，要重新開始嗎？',
+        'confirm.bf_cancel': '取消回填？已上傳的部分不會重複上傳。',
+        'confirm.clear_activity': '清除所有活動紀錄？',
+        'confirm.clear_dead': '確定要永久刪除 {count} 條失敗的同步資料？',
+
+        'status.sent': '✅ 已送出',
+        'status.queued': '📦 已存入 buffer',
+        'status.message_excluded': '🚫 此聊天或訊息已排除',
+        'status.chat_excluded': '🚫 此聊天已排除',
+        'status.sync_disabled': '同步未啟用',
+        'status.send_failed': '❌ 傳送失敗',
+        'status.summarizing': '摘要中...',
+        'status.summary_unsupported': '⚠️ 接收端不支援 summary',
+        'status.summary_disabled': '請先啟用摘要',
+        'status.too_few': '新訊息不足',
+        'status.summary_busy': '已有摘要進行中',
+        'status.failed': '❌ 失敗',
+        'status.syncing': '同步中...',
+        'status.not_synced': '❌ 未同步（詳見 console）',
+        'status.testing': '測試中...',
+        'status.no_endpoint': '❌ 沒有啟用的端點',
+        'status.test_mismatch': '⚠️ {name}：版本或設定不符',
+        'status.test_ok': '✅ {name} 連線成功',
+        'status.synced': '✅ 已同步',
+        'status.saved': '✅ 已儲存！',
+
+        'pill.follower': '👥 其他分頁同步中',
+        'pill.follower_title': 'OpenClaw Sync — 由另一個分頁負責同步',
+        'pill.paused': '⏸️ 暫停',
+        'pill.online': '🟢 已連線',
+        'pill.offline': '🔴 離線',
+        'pill.checking': '⚪ 檢查中',
+        'pill.queued': '{state} · {count} 筆待傳',
+        'pill.title': 'OpenClaw Sync — 點擊立即檢查',
+        'pill.last_probe': '上次檢查: {time}',
+        'pill.next_probe': '下次檢查: {time}',
+
+        'ui.leader': '👑 此分頁負責同步',
+        'ui.follower': '👥 由另一個分頁同步（在此分頁聊天時會自動接手）',
+
+        'meta.generation': 'API / 模型',
+        'meta.tokens': 'Token 數',
+        'meta.send_date': '傳送時間',
+        'meta.swipes': 'Swipe 數量',
+        'meta.reasoning': '推理內容',
+        'meta.attachments': '圖片 / 檔案',
+
+        'mes.send': '立即送到 OpenClaw',
+        'mes.pin': '釘選為重要記憶',
+        'mes.exclude': '不寫入記憶',
+
+        'lorebook.status': '{count} 條 · 上次同步 {time}',
+        'lorebook.never': '尚未同步',
+
+        'bf.offline_paused': '無法連線，已暫停',
+        'bf.leader_paused': '另一個分頁接手同步，已暫停',
+        'bf.listing': '正在列出聊天...',
+        'bf.running': '回填中',
+        'bf.paused': '已暫停',
+        'bf.done': '完成',
+        'bf.progress': '{label}: {next} / {total} 個聊天',
+        'bf.skipped': '{count} 個被規則排除',
+        'bf.failed': '{count} 個讀取失敗',
+
+        'receiver.none': '尚未握手',
+        'receiver.one_way': '{server}（單向輸出）',
+        'receiver.legacy': '舊版接收端（未回報能力）',
+        'receiver.generic': '接收端',
+        'receiver.protocol': '{name} · 協定 v{versions}',
+
+        'health.untested': '尚未測試',
+
+        'ep.enabled': '啟用',
+        'ep.name': '名稱',
+        'ep.adapter': '輸出格式',
+        'ep.format': '格式範本與預覽',
+        'ep.test': '測試此端點',
+        'ep.up': '提高優先順序',
+        'ep.down': '降低優先順序',
+        'ep.remove': '刪除',
+        'ep.template': '範本',
+        'ep.preview': '預覽',
+        'ep.preview_message': '最新一輪',
+        'ep.preview_full': '完整對話',
+        'ep.template_reset': '還原預設範本',
+
+        'preview.chat_excluded': '⛔ 此聊天符合排除規則，不會傳送任何內容',
+        'preview.no_messages': '(目前聊天沒有訊息)',
+        'preview.no_reply': '(目前聊天沒有可預覽的 AI 回覆)',
+        'preview.turn_excluded': '🙈 最後一輪對話已排除，不會傳送',
+        'preview.invalid_rule': '⚠️ 無效的規則已略過: {rule}',
+        'preview.nothing': '(沒有可輸出的內容)',
+
+        'storage.summary': '儲存於 {backend}：佇列 {buffer} · 失敗 {dead} · 去重紀錄 {ledger}',
+        'storage.locked': '🔒 無法解密 {count}',
+        'storage.used': '已用 {used} / {quota}',
+
+        'list.empty': '(沒有紀錄)',
+
+        'ledger.view': '檢視',
+        'ledger.clear': '清除',
+        'ledger.no_id': '(無 ID)',
+        'ledger.row': '{chat} — {count} 條',
+
+        'act.resend': '重送',
+        'act.copy': '複製 payload',
+        'act.too_large': 'payload 太大，未保存',
+
+        'route.auto': '(自動 — 依優先順序)',
+
+        'ui.connection': '連線設定',
+        'ui.enabled': '啟用同步',
+        'ui.endpoints': '同步端點 (依優先順序)',
+        'ui.add_endpoint': '＋ 新增端點',
+        'ui.route': '目前角色路由 ({name})',
+        'ui.auth': '驗證',
+        'ui.optional': '(選填)',
+        'ui.secret': 'HMAC 簽章密鑰',
+        'ui.encrypt': '端對端加密 (AES-GCM)',
+        'ui.passphrase': '加密密語',
+        'ui.passphrase_hint': '與接收端 ST_SYNC_PASSPHRASE 相同',
+        'ui.credentials_note': '只存在本機瀏覽器，不會寫入 settings.json。簽章與加密需要 HTTPS 或 localhost。',
+        'ui.realtime': '即時同步',
+        'ui.realtime_enable': '每條訊息即時同步',
+        'ui.message_buttons': '在訊息上顯示按鈕（立即送出 / 釘選 / 不寫入記憶）',
+        'ui.turn_meta': '附帶資訊',
+        'ui.attach_mode': '附件傳送方式',
+        'ui.attach_reference': '只傳網址',
+        'ui.attach_inline': '內嵌檔案 (base64，2 MB 以內)',
+        'ui.fullsync': '完整對話同步',
+        'ui.fullsync_enable': '閒置後同步完整對話',
+        'ui.idle': '閒置幾分鐘後同步',
+        'ui.minutes': '分鐘',
+        'ui.delta': '只傳送新增/變更的訊息',
+        'ui.summary': '對話摘要',
+        'ui.summary_enable': '閒置或切換聊天時產生摘要',
+        'ui.summary_min': '至少幾則新訊息',
+        'ui.summary_prompt': '摘要提示詞',
+        'ui.summary_prompt_help': '留空 = 內建提示詞。可用 {{char}}、{{user}}、{{previous}}（上次摘要）、{{transcript}}（新訊息）',
+        'ui.summary_now': '立即摘要',
+        'ui.buffer': '離線 Buffer',
+        'ui.buffer_enable': '離線時暫存訊息',
+        'ui.buffer_max': 'Buffer 上限',
+        'ui.items': '條',
+        'ui.batch': '每批上傳',
+        'ui.dead_count': '失敗清單: {count} 條',
+        'ui.dead_retry': '重試失敗項目',
+        'ui.dead_clear': '清除失敗項目',
+        'ui.queue_export': '匯出佇列 JSONL',
+        'ui.queue_import': '匯入佇列',
+        'ui.indicator': '在畫面角落顯示連線狀態',
+        'ui.dedup': '去重',
+        'ui.dedup_enable': '重複訊息不再同步',
+        'ui.ledger': '已同步紀錄 (依聊天)',
+        'ui.refresh': '重新整理',
+        'ui.privacy': '隱私',
+        'ui.rules_help': '規則每行一條：<code>char:角色名</code>、<code>chat:聊天ID</code>、<code>tag:標籤</code>',
+        'ui.exclude_rules': '不同步',
+        'ui.include_rules': '只同步 (留空 = 全部)',
+        'ui.redact': '遮蔽',
+        'ui.redact_rules': '自訂遮蔽 (<code>正規表達式 =&gt; 取代文字</code>)',
+        'ui.preview': '預覽送出內容',
+        'ui.recall': '記憶注入',
+        'ui.recall_enable': '生成前從 OpenClaw 取回相關記憶',
+        'ui.recall_char': '目前角色啟用 ({name})',
+        'ui.recall_depth': '注入深度',
+        'ui.recall_budget': 'Token 上限',
+        'ui.recall_turns': '查詢參考最近',
+        'ui.messages': '條訊息',
+        'ui.lorebook': '記憶 Lorebook',
+        'ui.lorebook_enable': '將 OpenClaw 記憶寫入 World Info',
+        'ui.lorebook_name': 'Lorebook 名稱',
+        'ui.lorebook_help': '每位角色每天一條，以角色名與內容中的專有名詞為關鍵字。在 ST 中修改或刪除的條目會回報給 OpenClaw。記得在 World Info 中啟用此 Lorebook。',
+        'ui.lorebook_now': '立即同步 Lorebook',
+        'ui.notifications': '通知',
+        'ui.notify': '同步成功通知',
+        'ui.errors': '顯示錯誤通知',
+        'ui.language': '介面語言',
+        'ui.language_auto': '跟隨 SillyTavern',
+        'ui.test': '測試',
+        'ui.test_connection': '測試連線',
+        'ui.flush': '補送離線訊息',
+        'ui.sync_now': '同步完整對話',
+        'ui.buffer_status': 'Buffer: {count} 條 | 上次同步: {last}',
+        'ui.paused': '⏸️ 暫停中',
+        'ui.paused_until': '⏸️ 暫停至 {time}',
+        'ui.backfill': '歷史回填',
+        'ui.bf_all': '全部角色與群組',
+        'ui.bf_delay': '每次上傳間隔',
+        'ui.ms': '毫秒',
+        'ui.bf_start': '開始回填',
+        'ui.bf_pause': '暫停',
+        'ui.bf_resume': '繼續',
+        'ui.bf_cancel': '取消',
+        'ui.activity': '活動紀錄',
+        'ui.act_all_types': '所有類型',
+        'ui.act_all': '全部',
+        'ui.act_ok': '成功',
+        'ui.act_failed': '失敗',
+        'ui.act_search': '搜尋聊天 / 角色 / 錯誤',
+        'ui.act_export': '匯出 JSONL',
+        'ui.act_clear': '清除紀錄',
+        'ui.save_title': '儲存',
+        'ui.save': '儲存設定',
+    },
+    ja: {
+        'toast.store_write_failed': 'オフラインデータをブラウザのストレージに書き込めません：{error}',
+
+        'redact.email': 'メール',
+        'redact.credit_card': 'クレジットカード',
+        'redact.phone': '電話番号',
+        'redact.tw_id': '台湾の身分証番号',
+        'redact.address': '住所',
+
+        'crypto.no_passphrase': '暗号化が有効ですがパスフレーズが未設定です',
+        'crypto.no_params': '受信側から暗号化パラメータが届いていません。先に接続テストを行ってください',
+        'crypto.native_only': '暗号化は OpenClaw ネイティブ形式でのみ使えます',
+        'crypto.insecure_context': 'このページは HTTPS でも localhost でもないため WebCrypto が使えません。署名・暗号化ができず、リクエストはバッファに残り続けます。SillyTavern を HTTPS か localhost で開くか、署名キーを消して暗号化をオフにしてください。',
+
+        'adapter.openclaw': 'OpenClaw (ネイティブ)',
+        'adapter.webhook': 'Webhook (JSON テンプレート)',
+        'adapter.openai_jsonl': 'OpenAI 会話 JSONL',
+        'adapter.markdown': 'Markdown',
+        'adapter.bad_template': 'Webhook テンプレートが有効な JSON ではありません：{error}',
+        'adapter.skips_type': '{adapter} は {type} を出力しません',
+
+        'caps.legacy': '受信側が機能を報告しません（旧版 proxy）。互換モードで動作します',
+        'caps.version_mismatch': 'プロトコルのバージョンが一致しません：受信側は v{theirs}、拡張機能は v{ours}',
+        'caps.no_message': '受信側が message を受け付けないため同期できません',
+        'caps.skipped': '受信側が未対応のためスキップ：{types}',
+        'caps.no_batch': 'バッチ送信に未対応。バッファは 1 件ずつ送信します',
+        'caps.no_delta': '差分同期に未対応。常に会話全体を同期します',
+        'caps.token_required': '受信側が Bearer Token を要求していますが未設定です',
+        'caps.signature_required': '受信側が署名を要求していますが署名キーが未設定です',
+        'caps.signature_unchecked': '受信側は署名を検証しません',
+        'caps.adapter_encryption': '暗号化は OpenClaw ネイティブ形式でのみ有効です。このエンドポイントには何も送信されません',
+        'caps.receiver_unencrypted': '暗号化が有効ですが、受信側にパスフレーズが設定されていません',
+        'caps.receiver_encrypted': '受信側が暗号化を要求しています。有効にして同じパスフレーズを設定してください',
+        'caps.one_way': '一方向の出力先はハンドシェイクしません。フォーマットのプレビューで送信内容を確認してください',
+        'caps.auth_failed': '認証に失敗しました (HTTP {status})。Token / 署名キーを確認してください',
+        'caps.key_mismatch': 'パスフレーズが受信側と一致しません',
+
+        'toast.resent': '再送信しました',
+        'toast.resend_failed': '再送信に失敗しました：{error}',
+        'toast.dead_letters_full': '失敗リストがいっぱいのため、古い {count} 件を破棄しました',
+        'toast.buffer_almost_full': 'オフラインバッファがほぼ満杯です ({count}/{max})。超過分は失敗リストに移ります',
+        'toast.flushed': 'オフライン中のメッセージ {count} 件を送信しました',
+        'toast.synced': '同期しました',
+        'toast.offline_buffered': 'オフラインのためバッファに保存しました',
+        'toast.delta_synced': '会話の変更を同期しました',
+        'toast.full_synced': '会話全体を同期しました（{count} 件）',
+        'toast.message_excluded_first': 'このメッセージは除外されています。先に除外を解除してください',
+        'toast.leader_unavailable': '別のタブが同期中のため引き継げません',
+        'toast.message_included': 'このメッセージは次回の全体同期で送信されます',
+        'toast.message_excluded': 'このメッセージを除外しました。記憶には書き込まれません',
+        'toast.summary_failed': '要約に失敗しました：{error}',
+        'toast.history_unsupported': '受信側が履歴の取り込み (history) に未対応です',
+        'toast.backfill_done': '履歴の取り込みが完了しました（{count} チャット）',
+        'toast.paused_for': '同期を {minutes} 分間一時停止しました',
+        'toast.paused': '同期を一時停止しました',
+        'toast.excluded_rule': '{rule} を除外しました',
+        'toast.need_endpoint': 'エンドポイントが少なくとも 1 つ必要です',
+        'toast.lorebook_synced': '追加 {created}・更新 {updated}・削除 {removed} 件',
+        'toast.bf_choose': '先にキャラクターかグループを選んでください',
+        'toast.bf_failed': '取り込みに失敗しました：{error}',
+        'toast.imported': '{count} 件を読み込みました',
+        'toast.import_skipped': '、重複 {count} 件をスキップ',
+        'toast.import_invalid': '、無効な行 {count}',
+        'toast.copied': 'payload をコピーしました',
+        'toast.saved': '設定を保存しました',
+        'toast.language': '言語を変更しました。ページを再読み込みすると設定パネルに反映されます',
+
+        'confirm.clear_ledger': '「{chat}」の同期記録を消去しますか？これらのメッセージが再度同期される場合があります。',
+        'confirm.bf_restart': '未完了の取り込みがあります。最初からやり直しますか？',
+        'confirm.bf_cancel': '取り込みをキャンセルしますか？アップロード済みの分は重複しません。',
+        'confirm.clear_activity': 'アクティビティログをすべて消去しますか？',
+        'confirm.clear_dead': '失敗した同期データ {count} 件を完全に削除しますか？',
+
+        'status.sent': '✅ 送信しました',
+        'status.queued': '📦 バッファに保存しました',
+        'status.message_excluded': '🚫 このチャットまたはメッセージは除外されています',
+        'status.chat_excluded': '🚫 このチャットは除外されています',
+        'status.sync_disabled': '同期が無効です',
+        'status.send_failed': '❌ 送信に失敗しました',
+        'status.summarizing': '要約中...',
+        'status.summary_unsupported': '⚠️ 受信側が summary に未対応です',
+        'status.summary_disabled': '先に要約を有効にしてください',
+        'status.too_few': '新しいメッセージが足りません',
+        'status.summary_busy': '要約はすでに実行中です',
+        'status.failed': '❌ 失敗しました',
+        'status.syncing': '同期中...',
+        'status.not_synced': '❌ 同期されませんでした（コンソールを参照）',
+        'status.testing': 'テスト中...',
+        'status.no_endpoint': '❌ 有効なエンドポイントがありません',
+        'status.test_mismatch': '⚠️ {name}：バージョンまたは設定が一致しません',
+        'status.test_ok': '✅ {name} に接続しました',
+        'status.synced': '✅ 同期しました',
+        'status.saved': '✅ 保存しました！',
+
+        'pill.follower': '👥 別のタブが同期中',
+        'pill.follower_title': 'OpenClaw Sync — 別のタブが同期を担当しています',
+        'pill.paused': '⏸️ 一時停止',
+        'pill.online': '🟢 接続中',
+        'pill.offline': '🔴 オフライン',
+        'pill.checking': '⚪ 確認中',
+        'pill.queued': '{state} · 送信待ち {count} 件',
+        'pill.title': 'OpenClaw Sync — クリックで今すぐ確認',
+        'pill.last_probe': '前回の確認：{time}',
+        'pill.next_probe': '次回の確認：{time}',
+
+        'ui.leader': '👑 このタブが同期を担当',
+        'ui.follower': '👥 別のタブが同期中（このタブでチャットすると自動で引き継ぎます）',
+
+        'meta.generation': 'API / モデル',
+        'meta.tokens': 'トークン数',
+        'meta.send_date': '送信日時',
+        'meta.swipes': 'スワイプ数',
+        'meta.reasoning': '推論内容',
+        'meta.attachments': '画像 / ファイル',
+
+        'mes.send': '今すぐ OpenClaw に送信',
+        'mes.pin': '重要な記憶としてピン留め',
+        'mes.exclude': '記憶から除外',
+
+        'lorebook.status': '{count} 件 · 前回の同期 {time}',
+        'lorebook.never': '未同期',
+
+        'bf.offline_paused': '接続できないため一時停止しました',
+        'bf.leader_paused': '別のタブが同期を引き継いだため一時停止しました',
+        'bf.listing': 'チャットを一覧中...',
+        'bf.running': '取り込み中',
+        'bf.paused': '一時停止中',
+        'bf.done': '完了',
+        'bf.progress': '{label}: {next} / {total} チャット',
+        'bf.skipped': '{count} 件はルールで除外',
+        'bf.failed': '{count} 件は読み込み失敗',
+
+        'receiver.none': '未ハンドシェイク',
+        'receiver.one_way': '{server}（一方向出力）',
+        'receiver.legacy': '旧版の受信側（機能の報告なし）',
+        'receiver.generic': '受信側',
+        'receiver.protocol': '{name} · プロトコル v{versions}',
+
+        'health.untested': '未テスト',
+
+        'ep.enabled': '有効',
+        'ep.name': '名前',
+        'ep.adapter': '出力形式',
+        'ep.format': 'テンプレートとプレビュー',
+        'ep.test': 'このエンドポイントをテスト',
+        'ep.up': '優先度を上げる',
+        'ep.down': '優先度を下げる',
+        'ep.remove': '削除',
+        'ep.template': 'テンプレート',
+        'ep.preview': 'プレビュー',
+        'ep.preview_message': '最新のやり取り',
+        'ep.preview_full': '会話全体',
+        'ep.template_reset': '既定のテンプレートに戻す',
+
+        'preview.chat_excluded': '⛔ このチャットは除外ルールに一致するため何も送信されません',
+        'preview.no_messages': '（現在のチャットにメッセージがありません）',
+        'preview.no_reply': '（プレビューできる AI の返信がありません）',
+        'preview.turn_excluded': '🙈 最後のやり取りは除外されているため送信されません',
+        'preview.invalid_rule': '⚠️ 無効なルールをスキップしました：{rule}',
+        'preview.nothing': '（出力する内容がありません）',
+
+        'storage.summary': '{backend} に保存：キュー {buffer} · 失敗 {dead} · 重複排除の記録 {ledger}',
+        'storage.locked': '🔒 復号できないもの {count}',
+        'storage.used': '使用量 {used} / {quota}',
+
+        'list.empty': '（記録なし）',
+
+        'ledger.view': '表示',
+        'ledger.clear': '消去',
+        'ledger.no_id': '（ID なし）',
+        'ledger.row': '{chat} — {count} 件',
+
+        'act.resend': '再送信',
+        'act.copy': 'payload をコピー',
+        'act.too_large': 'payload が大きすぎるため保存されていません',
+
+        'route.auto': '（自動 — 優先順位順）',
+
+        'ui.connection': '接続設定',
+        'ui.enabled': '同期を有効化',
+        'ui.endpoints': '同期エンドポイント（優先順）',
+        'ui.add_endpoint': '＋ エンドポイントを追加',
+        'ui.route': '現在のキャラクターの送信先 ({name})',
+        'ui.auth': '認証',
+        'ui.optional': '（任意）',
+        'ui.secret': 'HMAC 署名キー',
+        'ui.encrypt': 'エンドツーエンド暗号化 (AES-GCM)',
+        'ui.passphrase': '暗号化パスフレーズ',
+        'ui.passphrase_hint': '受信側の ST_SYNC_PASSPHRASE と同じ',
+        'ui.credentials_note': 'このブラウザにのみ保存され、settings.json には書き込まれません。署名と暗号化には HTTPS または localhost が必要です。',
+        'ui.realtime': 'リアルタイム同期',
+        'ui.realtime_enable': 'メッセージごとに即時同期',
+        'ui.message_buttons': 'メッセージにボタンを表示（今すぐ送信 / ピン留め / 除外）',
+        'ui.turn_meta': '付加情報',
+        'ui.attach_mode': '添付ファイルの送信方法',
+        'ui.attach_reference': 'URL のみ',
+        'ui.attach_inline': 'ファイルを埋め込む（base64、2 MB まで）',
+        'ui.fullsync': '会話全体の同期',
+        'ui.fullsync_enable': 'アイドル時に会話全体を同期',
+        'ui.idle': '同期までのアイドル時間',
+        'ui.minutes': '分',
+        'ui.delta': '新規・変更されたメッセージのみ送信',
+        'ui.summary': '会話の要約',
+        'ui.summary_enable': 'アイドル時やチャット切り替え時に要約を作成',
+        'ui.summary_min': '新しいメッセージの最小数',
+        'ui.summary_prompt': '要約プロンプト',
+        'ui.summary_prompt_help': '空欄 = 組み込みプロンプト。使用可能：{{char}}、{{user}}、{{previous}}（前回の要約）、{{transcript}}（新しいメッセージ）',
+        'ui.summary_now': '今すぐ要約',
+        'ui.buffer': 'オフラインバッファ',
+        'ui.buffer_enable': 'オフライン時にメッセージを保持',
+        'ui.buffer_max': 'バッファ上限',
+        'ui.items': '件',
+        'ui.batch': '1 バッチあたり',
+        'ui.dead_count': '失敗リスト：{count} 件',
+        'ui.dead_retry': '失敗項目を再試行',
+        'ui.dead_clear': '失敗項目を消去',
+        'ui.queue_export': 'キューを JSONL で書き出す',
+        'ui.queue_import': 'キューを読み込む',
+        'ui.indicator': '画面の隅に接続状態を表示',
+        'ui.dedup': '重複排除',
+        'ui.dedup_enable': '重複したメッセージを再同期しない',
+        'ui.ledger': '同期済みの記録（チャットごと）',
+        'ui.refresh': '更新',
+        'ui.privacy': 'プライバシー',
+        'ui.rules_help': '1 行に 1 ルール：<code>char:キャラ名</code>、<code>chat:チャットID</code>、<code>tag:タグ</code>',
+        'ui.exclude_rules': '同期しない',
+        'ui.include_rules': 'これのみ同期（空欄 = すべて）',
+        'ui.redact': 'マスク',
+        'ui.redact_rules': 'カスタムマスク（<code>正規表現 =&gt; 置換文字列</code>）',
+        'ui.preview': '送信内容をプレビュー',
+        'ui.recall': '記憶の注入',
+        'ui.recall_enable': '生成前に OpenClaw から関連する記憶を取得',
+        'ui.recall_char': '現在のキャラクターで有効 ({name})',
+        'ui.recall_depth': '挿入の深さ',
+        'ui.recall_budget': 'トークン上限',
+        'ui.recall_turns': '検索に使う直近の',
+        'ui.messages': '件のメッセージ',
+        'ui.lorebook': '記憶 Lorebook',
+        'ui.lorebook_enable': 'OpenClaw の記憶を World Info に書き込む',
+        'ui.lorebook_name': 'Lorebook 名',
+        'ui.lorebook_help': 'キャラクターごと・1 日ごとに 1 エントリ。キャラ名と本文中の固有名詞がキーワードになります。ST で編集・削除したエントリは OpenClaw に報告されます。World Info でこの Lorebook を有効にしてください。',
+        'ui.lorebook_now': '今すぐ Lorebook を同期',
+        'ui.notifications': '通知',
+        'ui.notify': '同期成功を通知',
+        'ui.errors': 'エラー通知を表示',
+        'ui.language': '表示言語',
+        'ui.language_auto': 'SillyTavern に合わせる',
+        'ui.test': 'テスト',
+        'ui.test_connection': '接続テスト',
+        'ui.flush': 'キューのメッセージを送信',
+        'ui.sync_now': '会話全体を同期',
+        'ui.buffer_status': 'バッファ：{count} 件 | 前回の同期：{last}',
+        'ui.paused': '⏸️ 一時停止中',
+        'ui.paused_until': '⏸️ {time} まで一時停止',
+        'ui.backfill': '履歴の取り込み',
+        'ui.bf_all': 'すべてのキャラクターとグループ',
+        'ui.bf_delay': 'アップロード間隔',
+        'ui.ms': 'ミリ秒',
+        'ui.bf_start': '取り込み開始',
+        'ui.bf_pause': '一時停止',
+        'ui.bf_resume': '再開',
+        'ui.bf_cancel': 'キャンセル',
+        'ui.activity': 'アクティビティログ',
+        'ui.act_all_types': 'すべての種類',
+        'ui.act_all': 'すべて',
+        'ui.act_ok': '成功',
+        'ui.act_failed': '失敗',
+        'ui.act_search': 'チャット / キャラクター / エラーを検索',
+        'ui.act_export': 'JSONL を書き出す',
+        'ui.act_clear': 'ログを消去',
+        'ui.save_title': '保存',
+        'ui.save': '設定を保存',
+    },
+};
+
+// ─── Local Store ───────────────────────────────────────────────
+// The buffer, dead letters and dedup ledger live in IndexedDB, one record per
+// item. Everything is read into memory once at startup so the sync code can
+// stay synchronous; each change writes only the records it touches. Write
+// failures (quota, private mode) are reported instead of swallowed — so are
+// those of the small per-chat state still in localStorage (cursors, summary
+// and lorebook state, backfill job, activity log). Without IndexedDB the old
+// whole-blob localStorage keys are used as before.
+
+let db = null;
+const storeCache = { buffer: [], dead_letters: [], ledger: {} };
+let nextBufferSeq = 1;            // keeps queue order across reloads
+let storeErrorShown = false;
+let storeWrites = Promise.resolve();
+
+const LEGACY_STORE_KEYS = { buffer: BUFFER_STORAGE_KEY, dead_letters: DEAD_LETTER_STORAGE_KEY, ledger: LEDGER_STORAGE_KEY };
+const SEALED_STORES = ['buffer', 'dead_letters']; // hold message text, encrypted at rest when enabled
+
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
 }
 
-function saveBuffer(buffer) {
-    try {
-        localStorage.setItem(BUFFER_STORAGE_KEY, JSON.stringify(buffer));
-    } catch (_) { }
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const database = request.result;
+            database.createObjectStore('buffer', { keyPath: 'id' });
+            database.createObjectStore('dead_letters', { keyPath: 'id' });
+            database.createObjectStore('ledger', { keyPath: ['chatId', 'identity'] });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('database upgrade blocked by another tab'));
+    });
 }
 
-function addToBuffer(payload) {
-    const settings = getSettings();
-    const buffer = getBuffer();
-    buffer.push(payload);
-    // Trim to max size
-    while (buffer.length > settings.maxBufferSize) buffer.shift();
-    saveBuffer(buffer);
-    log(`📦 Buffered offline (${buffer.length} queued)`);
+function reportStoreError(err) {
+    log(`❌ Local store write failed: ${err?.message || err}`);
+    if (storeErrorShown) return;
+    storeErrorShown = true;
+    toastr.error(t('toast.store_write_failed', { error: err?.message || err }), 'OpenClaw Sync', { timeOut: 10000 });
 }
 
-async function flushBuffer() {
-    const buffer = getBuffer();
-    if (buffer.length === 0) return;
+function readLegacyStore(name) {
+    try {
+        const stored = localStorage.getItem(LEGACY_STORE_KEYS[name]);
+        return stored ? JSON.parse(stored) : null;
+    } catch (_) { return null; }
+}
 
-    const settings = getSettings();
-    log(`📤 Flushing ${buffer.length} buffered messages...`);
+function sealAll(name, records) {
+    return SEALED_STORES.includes(name) ? Promise.all(records.map(sealRecord)) : records;
+}
+
+async function writeLegacyStore(name) {
+    localStorage.setItem(LEGACY_STORE_KEYS[name], JSON.stringify(await sealAll(name, storeCache[name])));
+}
 
-    const remaining = [];
-    for (const payload of buffer) {
+/**
+ * Put and delete records of one object store in a single transaction. Writes
+ * are chained so they land in the order they were made. A record that can't
+ * be sealed is not written at all — never stored in the clear by accident.
+ * Resolves to whether this write succeeded.
+ */
+function writeStore(name, puts, deleteKeys = []) {
+    if (puts.length === 0 && deleteKeys.length === 0) return storeWrites.then(() => true);
+    storeWrites = storeWrites.then(async () => {
         try {
-            const res = await fetch(settings.syncUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload),
+            if (!db) {
+                await writeLegacyStore(name);
+                return true;
+            }
+            const records = await sealAll(name, puts);
+            await new Promise((resolve, reject) => {
+                const tx = db.transaction(name, 'readwrite');
+                const store = tx.objectStore(name);
+                for (const record of records) store.put(record);
+                for (const key of deleteKeys) store.delete(key);
+                tx.oncomplete = () => resolve();
+                tx.onabort = () => reject(tx.error || new Error('transaction aborted'));
             });
-            if (!res.ok) remaining.push(payload);
-        } catch (_) {
-            remaining.push(payload);
-            break; // still offline, stop trying
+            return true;
+        } catch (err) {
+            reportStoreError(err);
+            return false;
         }
-    }
+    });
+    return storeWrites;
+}
 
-    saveBuffer(remaining);
-    if (remaining.length === 0) {
-        log('✅ Buffer flushed completely');
-        if (settings.showNotifications) {
-            toastr.success(`已補同步 ${buffer.length} 條離線訊息`, 'OpenClaw Sync', { timeOut: 3000 });
-        }
-    } else {
-        log(`⚠️ ${remaining.length} messages still buffered`);
+function ledgerFromRecords(records) {
+    const ledger = {};
+    for (const { chatId, identity, ...entry } of records) {
+        (ledger[chatId] ||= {})[identity] = entry;
     }
+    return ledger;
 }
 
-// ─── Sync Functions ────────────────────────────────────────────
+function ledgerRecords(ledger) {
+    return Object.entries(ledger).flatMap(([chatId, entries]) =>
+        Object.entries(entries).map(([identity, entry]) => ({ chatId, identity, ...entry })));
+}
 
-/**
- * POST a single message turn to the sync endpoint.
- */
-async function syncMessage(userMessage, assistantMessage, chatId) {
-    const settings = getSettings();
-    if (!settings.enabled || !settings.realtimeSync) return;
+/** Move whatever older versions left in localStorage into IndexedDB */
+async function migrateLocalStorageStores() {
+    const buffer = readLegacyStore('buffer');
+    const deadLetters = readLegacyStore('dead_letters');
+    const ledger = readLegacyStore('ledger');
+    if (!buffer && !deadLetters && !ledger) return;
 
-    // Dedup check
-    if (settings.dedup) {
-        const hash = hashMessage(userMessage, assistantMessage);
-        if (syncedHashes.has(hash)) {
-            log(`⏭️ Skipped duplicate: ${hash}`);
-            return;
-        }
-        syncedHashes.add(hash);
-        saveSyncedHashes();
+    const known = new Set(storeCache.buffer.map(item => item.id));
+    const items = (await Promise.all((buffer || []).map(toBufferItem).map(unsealRecord))).filter(item => !known.has(item.id));
+    const dead = (await Promise.all((deadLetters || []).map(unsealRecord))).filter(item => !storeCache.dead_letters.some(d => d.id === item.id));
+    appendBufferRecords(items);
+    storeCache.dead_letters.push(...dead);
+    for (const [chatId, entries] of Object.entries(ledger || {})) {
+        storeCache.ledger[chatId] = { ...entries, ...storeCache.ledger[chatId] };
     }
 
-    const charName = getCharacterName();
-    const payload = {
-        type: 'message',
-        character: charName,
-        userMessage: userMessage || '',
-        assistantMessage: assistantMessage || '',
-        chatId: chatId || '',
-        timestamp: new Date().toISOString(),
-    };
+    const written = await Promise.all([
+        writeStore('buffer', items),
+        writeStore('dead_letters', dead),
+        writeStore('ledger', ledgerRecords(ledger || {})),
+    ]);
+    if (written.includes(false)) return; // keep the originals until a write succeeds
+    for (const key of Object.values(LEGACY_STORE_KEYS)) localStorage.removeItem(key);
+    log(`📦 Migrated ${items.length} buffered, ${dead.length} dead-letter and ${Object.keys(ledger || {}).length} ledger chats to IndexedDB`);
+}
 
-    try {
-        const res = await fetch(settings.syncUrl, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(payload),
-        });
+/**
+ * Fill the cache from IndexedDB, or the legacy keys without it. Run again
+ * whenever this tab becomes the leader, since other tabs wrote meanwhile.
+ */
+async function loadLocalStore() {
+    await storeWrites;
+    if (!db) {
+        storeCache.buffer = await Promise.all((readLegacyStore('buffer') || []).map(toBufferItem).map(unsealRecord));
+        storeCache.dead_letters = await Promise.all((readLegacyStore('dead_letters') || []).map(unsealRecord));
+        storeCache.ledger = readLegacyStore('ledger') || {};
+        return;
+    }
+    const read = name => idbRequest(db.transaction(name).objectStore(name).getAll());
+    const [buffer, deadLetters, ledger] = await Promise.all([read('buffer'), read('dead_letters'), read('ledger')]);
+    storeCache.buffer = (await Promise.all(buffer.map(unsealRecord))).sort((a, b) => a.seq - b.seq);
+    storeCache.dead_letters = (await Promise.all(deadLetters.map(unsealRecord))).sort((a, b) => a.failedAt - b.failedAt);
+    storeCache.ledger = ledgerFromRecords(ledger);
+    nextBufferSeq = buffer.reduce((max, item) => Math.max(max, item.seq || 0), 0) + 1;
+}
 
-        if (res.ok) {
-            log(`✅ Synced message: ${charName} | ${(userMessage || '').substring(0, 40)}...`);
-            settings.lastSyncTime = new Date().toISOString();
-            if (settings.showNotifications) {
-                toastr.success('已同步', 'OpenClaw', { timeOut: 1500 });
-            }
-            // Try flushing buffer while we're online
-            await flushBuffer();
-        } else {
-            throw new Error(`HTTP ${res.status}`);
-        }
+/** Open IndexedDB and load every store into memory. Must finish before syncing starts. */
+async function initLocalStore() {
+    try {
+        if (typeof indexedDB === 'undefined') throw new Error('IndexedDB unavailable');
+        db = await openDatabase();
+        await loadLocalStore();
+        await migrateLocalStorageStores();
     } catch (err) {
-        log(`📦 Offline or error: ${err.message}`);
-        if (settings.offlineBuffer) addToBuffer(payload);
-        if (settings.showErrors) {
-            toastr.warning('離線中，已存入 buffer', 'OpenClaw Sync', { timeOut: 2000 });
-        }
+        db = null;
+        log(`⚠️ ${err.message} — keeping offline data in localStorage`);
+        await loadLocalStore();
     }
 }
 
+/** Give new queue items their place at the end of the queue */
+function appendBufferRecords(items) {
+    for (const item of items) item.seq = nextBufferSeq++;
+    storeCache.buffer.push(...items);
+}
+
 /**
- * POST the full conversation to the sync endpoint.
+ * Replace a cached list and write only what changed. Items are compared by
+ * reference, so changed items must be new objects.
  */
-async function syncFullConversation() {
-    const settings = getSettings();
-    if (!settings.enabled || !settings.fullConversationSync) return;
+function replaceStoreList(name, next) {
+    const previous = new Map(storeCache[name].map(item => [item.id, item]));
+    const nextIds = new Set(next.map(item => item.id));
+    const puts = next.filter(item => previous.get(item.id) !== item);
+    const deletes = [...previous.keys()].filter(id => !nextIds.has(id));
+    storeCache[name] = next;
+    return writeStore(name, puts, deletes);
+}
 
+/** Browser storage used by this origin, plus how many records each store holds */
+async function getStorageUsage() {
+    const usage = {
+        buffer: storeCache.buffer.length,
+        deadLetters: storeCache.dead_letters.length,
+        locked: [...storeCache.buffer, ...storeCache.dead_letters].filter(item => !item.payload).length,
+        ledger: Object.values(storeCache.ledger).reduce((n, entries) => n + Object.keys(entries).length, 0),
+        backend: db ? 'IndexedDB' : 'localStorage',
+        used: null,
+        quota: null,
+    };
     try {
-        const context = SillyTavern.getContext();
-        const chat = context.chat;
-        if (!chat || chat.length < 2) return;
+        if (navigator.storage?.estimate) {
+            const estimate = await navigator.storage.estimate();
+            usage.used = estimate.usage ?? null;
+            usage.quota = estimate.quota ?? null;
+        }
+    } catch (_) { }
+    return usage;
+}
 
-        const charName = getCharacterName();
-        const chatId = context.chatId || '';
+// ─── Dedup Ledger ──────────────────────────────────────────────
+// Per chat: identity key ("<message id>#<swipe id>") → { digest, type, syncedAt }.
+// Identity says *which* message; the SHA-256 digest says whether its content
+// was already sent. No global cap — clear per chat from the settings panel.
 
-        // Don't re-sync same conversation if nothing changed
-        const conversationHash = hashMessage(
-            chat.length.toString(),
-            chat[chat.length - 1]?.mes || ''
-        );
+const SHA256_K = new Uint32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+]);
 
-        if (syncedHashes.has('full_' + conversationHash)) {
-            log('⏭️ Full conversation already synced');
-            return;
-        }
+/** Plain-JS SHA-256 for insecure contexts (plain-http LAN), where crypto.subtle is missing */
+function sha256Fallback(bytes) {
+    const length = bytes.length;
+    const padded = new Uint8Array(((length + 9 + 63) >> 6) << 6);
+    padded.set(bytes);
+    padded[length] = 0x80;
+    const view = new DataView(padded.buffer);
+    view.setUint32(padded.length - 8, Math.floor(length / 0x20000000));
+    view.setUint32(padded.length - 4, (length << 3) >>> 0);
 
-        // Build full message list
-        const messages = [];
-        for (const msg of chat) {
-            if (msg.is_system) continue;
-            messages.push({
-                role: msg.is_user ? 'user' : 'assistant',
-                name: msg.is_user ? 'Kytrex' : charName,
-                content: msg.mes || '',
-                timestamp: msg.send_date || '',
-            });
+    const h = new Uint32Array([0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19]);
+    const w = new Uint32Array(64);
+    const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+    for (let offset = 0; offset < padded.length; offset += 64) {
+        for (let i = 0; i < 16; i++) w[i] = view.getUint32(offset + i * 4);
+        for (let i = 16; i < 64; i++) {
+            const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+            const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+            w[i] = (w[i - 16] + s0 + w[i - 7] + s1) >>> 0;
+        }
+        let [a, b, c, d, e, f, g, hh] = h;
+        for (let i = 0; i < 64; i++) {
+            const t1 = (hh + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i]) >>> 0;
+            const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) >>> 0;
+            hh = g; g = f; f = e; e = (d + t1) >>> 0;
+            d = c; c = b; b = a; a = (t1 + t2) >>> 0;
         }
+        h[0] += a; h[1] += b; h[2] += c; h[3] += d; h[4] += e; h[5] += f; h[6] += g; h[7] += hh;
+    }
+    const out = new DataView(new ArrayBuffer(32));
+    h.forEach((word, i) => out.setUint32(i * 4, word));
+    return out.buffer;
+}
 
-        const payload = {
-            type: 'full_conversation',
-            character: charName,
-            chatId: chatId,
-            messageCount: messages.length,
-            messages: messages,
-            timestamp: new Date().toISOString(),
-        };
+async function sha256Hex(text) {
+    const bytes = new TextEncoder().encode(text);
+    if (typeof crypto !== 'undefined' && crypto.subtle) {
+        return toHex(await crypto.subtle.digest('SHA-256', bytes));
+    }
+    return toHex(sha256Fallback(bytes));
+}
 
-        const res = await fetch(settings.syncUrl, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(payload),
-        });
+/** The whole ledger, chat → identity → entry (read-only view of the cache) */
+function loadLedger() {
+    return storeCache.ledger;
+}
 
-        if (res.ok) {
-            syncedHashes.add('full_' + conversationHash);
-            saveSyncedHashes();
-            log(`✅ Full conversation synced: ${charName} (${messages.length} messages)`);
-            if (settings.showNotifications) {
-                toastr.info(`完整對話已同步 (${messages.length} 條)`, 'OpenClaw', { timeOut: 2000 });
-            }
-        } else {
-            throw new Error(`HTTP ${res.status}`);
+/** The old global hash set can't be mapped to identities — just drop it */
+function migrateLegacyHashes() {
+    try {
+        if (localStorage.getItem(LEGACY_HASH_STORAGE_KEY) !== null) {
+            localStorage.removeItem(LEGACY_HASH_STORAGE_KEY);
+            log('🧹 Removed legacy dedup hashes (replaced by per-chat ledger)');
         }
-    } catch (err) {
-        log(`❌ Full sync error: ${err.message}`);
+    } catch (_) { }
+}
+
+function messageIdentity(messageId, swipeId) {
+    return `${messageId}#${swipeId ?? 0}`;
+}
+
+/** Ledger entry for a message identity in a chat, or null */
+function getLedgerEntry(chatId, identity) {
+    return loadLedger()[chatId || '']?.[identity] || null;
+}
+
+function recordLedgerEntry(chatId, identity, digest, type) {
+    const key = chatId || '';
+    const entry = { digest, type, syncedAt: new Date().toISOString() };
+    storeCache.ledger[key] = { ...(storeCache.ledger[key] || {}), [identity]: entry };
+    writeStore('ledger', [{ chatId: key, identity, ...entry }]);
+}
+
+function clearLedger(chatId) {
+    const identities = Object.keys(storeCache.ledger[chatId] || {});
+    delete storeCache.ledger[chatId];
+    writeStore('ledger', [], identities.map(identity => [chatId, identity]));
+}
+
+/** [{ chatId, count, lastSyncedAt }], most recent first */
+function summarizeLedger() {
+    return Object.entries(loadLedger())
+        .map(([chatId, entries]) => {
+            const times = Object.values(entries).map(e => e.syncedAt).sort();
+            return { chatId, count: times.length, lastSyncedAt: times[times.length - 1] || '' };
+        })
+        .sort((a, b) => b.lastSyncedAt.localeCompare(a.lastSyncedAt));
+}
+
+// ─── Sync Rules & Redaction ────────────────────────────────────
+
+/** Built-in PII patterns, each switchable in the settings panel (applied in order) */
+const BUILTIN_REDACTIONS = {
+    email: { get label() { return t('redact.email'); }, pattern: /[\w.+-]+@[\w-]+(\.[\w-]+)+/g, replacement: '[EMAIL]' },
+    creditCard: { get label() { return t('redact.credit_card'); }, pattern: /\b(?:\d[ -]?){13,19}\b/g, replacement: '[CARD]' },
+    // A `+` country code, a leading-0 or (parenthesized) area code, or separated groups ending in four
+    // digits; bare digit runs (timestamps, IDs, prices) are left alone
+    phone: { get label() { return t('redact.phone'); }, pattern: /(?<![\w+])(?:\+\d{1,3}(?:[\s.-]?\(?\d{1,4}\)?){2,3}[\s.-]?\d{3,4}|0\d{1,3}[\s.-]\d{3,4}[\s.-]?\d{3,4}|\(\d{2,4}\)\s?\d{3,4}[\s.-]?\d{3,4}|\d{2,4}[\s.-]\d{3,4}[\s.-]\d{4})(?!\w)/g, replacement: '[PHONE]' },
+    twId: { get label() { return t('redact.tw_id'); }, pattern: /\b[A-Z][12]\d{8}\b/g, replacement: '[ID]' },
+    address: { get label() { return t('redact.address'); }, pattern: /[一-鿿]{2,}[市縣][一-鿿\d]*[路街道巷弄][一-鿿\d\-之]*號|\b\d+\s+[A-Z][a-z]+(\s[A-Z][a-z]+)*\s(Street|St|Road|Rd|Avenue|Ave|Lane|Ln|Boulevard|Blvd|Drive|Dr)\b/g, replacement: '[ADDRESS]' },
+};
+
+/** Payload keys holding chat text; everything else (ids, names, dates) is left alone */
+const REDACTED_FIELDS = new Set(['userMessage', 'assistantMessage', 'content', 'reasoning', 'summary', 'keyFacts', 'relationshipChanges']);
+
+/** Parse "kind:value" lines into [{ kind, value }] */
+function parseSyncRules(text) {
+    const rules = [];
+    for (const line of (text || '').split('\n')) {
+        const match = line.trim().match(/^(char|chat|tag):\s*(.+)$/i);
+        if (match) rules.push({ kind: match[1].toLowerCase(), value: match[2].trim() });
+    }
+    return rules;
+}
+
+/** true / false, or null when the target's tags aren't known */
+function ruleMatches(rule, target) {
+    if (rule.kind === 'chat') return rule.value === target.chatId;
+    const value = rule.value.toLowerCase();
+    if (rule.kind === 'char') {
+        // In a group chat, any member counts
+        return [target.character, ...(target.members || [])].some(name => (name || '').toLowerCase() === value);
+    }
+    if (!target.tags) return null;
+    return target.tags.some(tag => tag.toLowerCase() === value);
+}
+
+/** Tag names of the current character or group */
+function getCurrentTags() {
+    try {
+        const ctx = SillyTavern.getContext();
+        const key = ctx.groupId || ctx.characters?.[ctx.characterId]?.avatar;
+        const tagIds = (key && ctx.tagMap?.[key]) || [];
+        return (ctx.tags || []).filter(t => tagIds.includes(t.id)).map(t => t.name);
+    } catch (_) { return []; }
+}
+
+/**
+ * Whether a chat may be synced. `target` is { character, chatId, tags };
+ * tags are only known while the chat is open, so buffered payloads are
+ * checked by character and chat alone (tag rules neither block nor admit).
+ */
+function isSyncAllowed(target) {
+    const settings = getSettings();
+    const include = parseSyncRules(settings.syncIncludeRules);
+    if (include.length > 0 && !include.some(rule => ruleMatches(rule, target) !== false)) return false;
+    return !parseSyncRules(settings.syncExcludeRules).some(rule => ruleMatches(rule, target) === true);
+}
+
+function isCurrentChatAllowed(chatId) {
+    const group = getCurrentGroup();
+    return isSyncAllowed({ character: getCharacterName(), members: group ? group.members : [], chatId: chatId || '', tags: getCurrentTags() });
+}
+
+/** Parse "regex => replacement" lines; bad patterns are reported, not thrown */
+function parseRedactRules(text) {
+    const rules = [];
+    const errors = [];
+    for (const line of (text || '').split('\n')) {
+        if (!line.trim()) continue;
+        const [source, ...rest] = line.split('=>');
+        const replacement = rest.length ? rest.join('=>').trim() : '[REDACTED]';
+        try {
+            rules.push({ pattern: new RegExp(source.trim(), 'gi'), replacement });
+        } catch (err) {
+            errors.push(`${source.trim()}: ${err.message}`);
+        }
+    }
+    return { rules, errors };
+}
+
+function redactText(text, settings) {
+    let result = text;
+    const builtins = { ...defaultSettings.redactBuiltins, ...settings.redactBuiltins };
+    for (const [key, redaction] of Object.entries(BUILTIN_REDACTIONS)) {
+        if (builtins[key]) result = result.replace(redaction.pattern, redaction.replacement);
+    }
+    for (const rule of parseRedactRules(settings.redactRules).rules) {
+        result = result.replace(rule.pattern, rule.replacement);
+    }
+    return result;
+}
+
+/** Deep copy of a payload with every chat-text field redacted */
+function redactPayload(payload, settings = getSettings()) {
+    if (Array.isArray(payload)) return payload.map(v => redactPayload(v, settings));
+    if (!payload || typeof payload !== 'object') return payload;
+    const out = {};
+    const redactValue = value => (typeof value === 'string' ? redactText(value, settings) : redactPayload(value, settings));
+    for (const [key, value] of Object.entries(payload)) {
+        if (!REDACTED_FIELDS.has(key)) out[key] = redactPayload(value, settings);
+        else out[key] = Array.isArray(value) ? value.map(redactValue) : redactValue(value);
+    }
+    return out;
+}
+
+// ─── Conversation Cursors ──────────────────────────────────────
+// Per chat: the last cursor the server acknowledged, plus a digest of every
+// message it has, so the next full sync can send just the difference.
+
+function loadConversationCursors() {
+    try {
+        const stored = localStorage.getItem(CURSOR_STORAGE_KEY);
+        return stored ? JSON.parse(stored) : {};
+    } catch (_) { return {}; }
+}
+
+function saveConversationCursors(cursors) {
+    try {
+        localStorage.setItem(CURSOR_STORAGE_KEY, JSON.stringify(cursors));
+    } catch (err) {
+        reportStoreError(err);
+    }
+}
+
+function digestConversationMessage(m) {
+    return hashString(`${m.role}|${m.swipeId}|${m.pinned ? 'pinned|' : ''}${m.content}`);
+}
+
+function getConversationCursor(chatId) {
+    return loadConversationCursors()[chatId] || null;
+}
+
+/** Whether `messages` are exactly the ones the server acknowledged last time */
+function matchesConversationCursor(state, messages) {
+    return Object.keys(state.digests).length === messages.length
+        && messages.every(m => state.digests[m.id] === digestConversationMessage(m));
+}
+
+function saveConversationCursor(chatId, cursor, messages) {
+    const cursors = loadConversationCursors();
+    const digests = {};
+    for (const m of messages) digests[m.id] = digestConversationMessage(m);
+    cursors[chatId] = { cursor, digests, updatedAt: Date.now() };
+
+    // Forget the least recently synced chats past the cap
+    const ids = Object.keys(cursors).sort((a, b) => cursors[b].updatedAt - cursors[a].updatedAt);
+    for (const id of ids.slice(MAX_TRACKED_CHATS)) delete cursors[id];
+    saveConversationCursors(cursors);
+}
+
+function clearConversationCursor(chatId) {
+    const cursors = loadConversationCursors();
+    delete cursors[chatId];
+    saveConversationCursors(cursors);
+}
+
+// ─── Transport & Auth ──────────────────────────────────────────
+
+/** Bearer token and signing secret, stored separately from the settings blob */
+function getCredentials() {
+    try {
+        const stored = localStorage.getItem(CREDENTIALS_STORAGE_KEY);
+        if (stored) {
+            const parsed = JSON.parse(stored);
+            return { token: parsed.token || '', secret: parsed.secret || '', passphrase: parsed.passphrase || '' };
+        }
+    } catch (_) { }
+    return { token: '', secret: '', passphrase: '' };
+}
+
+function saveCredentials(credentials) {
+    try {
+        localStorage.setItem(CREDENTIALS_STORAGE_KEY, JSON.stringify({
+            token: credentials.token || '',
+            secret: credentials.secret || '',
+            passphrase: credentials.passphrase || '',
+        }));
+    } catch (_) { }
+}
+
+function toHex(buffer) {
+    return [...new Uint8Array(buffer)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/** WebCrypto only exists in secure contexts (HTTPS or localhost) */
+function hasWebCrypto() {
+    return typeof crypto !== 'undefined' && !!crypto.subtle;
+}
+
+/** Why signing/encryption can't work on this page, or null */
+function webCryptoProblem() {
+    const { secret } = getCredentials();
+    if (!secret && !getSettings().encryption) return null;
+    return hasWebCrypto() ? null : t('crypto.insecure_context');
+}
+
+/**
+ * HMAC-SHA256 over `${timestamp}.${nonce}.${body}`. The server rejects stale
+ * timestamps and nonces it has already seen.
+ */
+async function signBody(secret, body) {
+    if (!hasWebCrypto()) throw new Error(t('crypto.insecure_context'));
+    const timestamp = Date.now().toString();
+    const nonce = newMessageId();
+    const encoder = new TextEncoder();
+    const key = await crypto.subtle.importKey(
+        'raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign'],
+    );
+    const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(`${timestamp}.${nonce}.${body}`));
+    return { timestamp, nonce, signature: 'sha256=' + toHex(signature) };
+}
+
+async function buildHeaders(body, contentType = 'application/json') {
+    const { token, secret } = getCredentials();
+    const headers = { 'Content-Type': contentType };
+
+    if (token) headers['Authorization'] = `Bearer ${token}`;
+    if (secret) {
+        const signed = await signBody(secret, body);
+        headers['X-OpenClaw-Timestamp'] = signed.timestamp;
+        headers['X-OpenClaw-Nonce'] = signed.nonce;
+        headers['X-OpenClaw-Signature'] = signed.signature;
+    }
+    return headers;
+}
+
+// ─── Encryption ────────────────────────────────────────────────
+// Optional passphrase encryption: AES-256-GCM with a key from PBKDF2-SHA256.
+// On the wire the salt and iterations come from the receiver's capabilities,
+// so only a host configured with the same passphrase can read payloads.
+// Buffered payloads are sealed at rest under a per-device salt. Envelopes
+// (base64 fields): { type: 'encrypted', keyId, iv, data } on the wire,
+// { salt, iterations, iv, data } in a record's `sealed` field.
+
+const derivedKeys = new Map();    // passphrase + salt + iterations → { key, keyId }
+
+/** Seal at rest? Needs both the switch and a passphrase */
+function isEncryptionOn() {
+    return getSettings().encryption && !!getCredentials().passphrase;
+}
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (const b of new Uint8Array(bytes)) binary += String.fromCharCode(b);
+    return btoa(binary);
+}
+
+function base64ToBytes(text) {
+    return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+async function deriveKey(passphrase, salt, iterations) {
+    const cacheKey = `${passphrase}\u0000${salt}\u0000${iterations}`;
+    if (derivedKeys.has(cacheKey)) return derivedKeys.get(cacheKey);
+    if (!hasWebCrypto()) throw new Error(t('crypto.insecure_context'));
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt: base64ToBytes(salt), iterations }, material, 256);
+    const derived = {
+        key: await crypto.subtle.importKey('raw', bits, 'AES-GCM', false, ['encrypt', 'decrypt']),
+        // Lets both sides tell a wrong passphrase from a corrupt payload
+        keyId: toHex(await crypto.subtle.digest('SHA-256', bits)).slice(0, 16),
+    };
+    derivedKeys.set(cacheKey, derived);
+    return derived;
+}
+
+async function encryptJson(value, key) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(value)));
+    return { iv: bytesToBase64(iv), data: bytesToBase64(data) };
+}
+
+async function decryptJson(envelope, key) {
+    const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(envelope.iv) }, key, base64ToBytes(envelope.data));
+    return JSON.parse(new TextDecoder().decode(plain));
+}
+
+/** The key for an endpoint, from the KDF parameters in its capabilities */
+async function getEndpointKey(endpoint) {
+    const { passphrase } = getCredentials();
+    if (!passphrase) throw new Error(t('crypto.no_passphrase'));
+    const kdf = loadCapabilities()[endpoint.id]?.features?.encryption;
+    if (!kdf || !kdf.salt || !kdf.iterations) throw new Error(t('crypto.no_params'));
+    return deriveKey(passphrase, kdf.salt, kdf.iterations);
+}
+
+/**
+ * What goes to one endpoint: the payload as-is, an envelope under that
+ * endpoint's key when encryption is on, or the output of its adapter
+ * (`body` null: nothing to send). Never falls back to plaintext.
+ * Handshakes and payloads that are already envelopes pass through.
+ */
+async function encodeForEndpoint(payload, endpoint) {
+    const adapterId = getAdapterId(endpoint);
+    if (adapterId !== 'openclaw') {
+        if (getSettings().encryption) throw new Error(t('crypto.native_only'));
+        return { sent: payload, body: formatPayload(payload, endpoint), contentType: OUTPUT_ADAPTERS[adapterId].contentType, key: null };
+    }
+    if (!getSettings().encryption || payload.type === 'capabilities' || payload.type === 'encrypted') {
+        return { sent: payload, body: JSON.stringify(payload), key: null };
+    }
+    const { key, keyId } = await getEndpointKey(endpoint);
+    const envelope = { schemaVersion: SYNC_SCHEMA_VERSION, type: 'encrypted', keyId, ...await encryptJson(payload, key) };
+    return { sent: envelope, body: JSON.stringify(envelope), key };
+}
+
+/** Replies to encrypted requests come back as envelopes; callers get plain JSON */
+async function decodeResponse(res, key) {
+    if (!key) return res;
+    const text = await res.text();
+    let data = null;
+    try {
+        data = JSON.parse(text);
+    } catch (_) { }
+    const plain = data?.type === 'encrypted' ? JSON.stringify(await decryptJson(data, key)) : text;
+    return new Response(plain, { status: res.status, statusText: res.statusText, headers: res.headers });
+}
+
+function getLocalSalt() {
+    let salt = localStorage.getItem(LOCAL_SALT_STORAGE_KEY);
+    if (!salt) {
+        salt = bytesToBase64(crypto.getRandomValues(new Uint8Array(16)));
+        localStorage.setItem(LOCAL_SALT_STORAGE_KEY, salt);
+    }
+    return salt;
+}
+
+/** A buffer record as stored: with encryption on, `payload` becomes `sealed` */
+async function sealRecord(record) {
+    if (!isEncryptionOn() || !record.payload) return record;
+    const { payload, ...rest } = record;
+    const salt = getLocalSalt();
+    const { key } = await deriveKey(getCredentials().passphrase, salt, PBKDF2_ITERATIONS);
+    return { ...rest, sealed: { salt, iterations: PBKDF2_ITERATIONS, ...await encryptJson(payload, key) } };
+}
+
+/** Open a sealed record; it stays sealed (no `payload`) if the passphrase doesn't fit */
+async function unsealRecord(record) {
+    const { passphrase } = getCredentials();
+    if (!record.sealed || !passphrase) return record;
+    try {
+        const { key } = await deriveKey(passphrase, record.sealed.salt, record.sealed.iterations);
+        const { sealed, ...rest } = record;
+        return { ...rest, payload: await decryptJson(sealed, key) };
+    } catch (_) {
+        return record;
+    }
+}
+
+/** After the switch or passphrase changes: open what we can, rewrite the rest */
+async function refreshSealing() {
+    for (const name of SEALED_STORES) {
+        storeCache[name] = await Promise.all(storeCache[name].map(unsealRecord));
+        writeStore(name, storeCache[name]);
+    }
+    await storeWrites;
+}
+
+// ─── Output Adapters ───────────────────────────────────────────
+// Payloads are always built in the OpenClaw shape; each endpoint picks an
+// adapter that turns them into what its receiver expects. Only the native
+// adapter speaks the whole protocol (handshake, acks, recall, encryption).
+// The others are one-way feeds: payload types they can't express are not
+// sent to them, and a 2xx counts as delivered.
+
+const DEFAULT_WEBHOOK_TEMPLATE = `{
+  "event": "{{type}}",
+  "character": "{{character}}",
+  "chatId": "{{chatId}}",
+  "text": "{{text}}",
+  "timestamp": "{{timestamp}}"
+}`;
+
+const OUTPUT_ADAPTERS = {
+    openclaw: {
+        get label() { return t('adapter.openclaw'); },
+        contentType: 'application/json',
+        types: null, // everything, as negotiated in the handshake
+        defaultTemplate: '',
+    },
+    webhook: {
+        get label() { return t('adapter.webhook'); },
+        contentType: 'application/json',
+        types: ['message', 'full_conversation', 'conversation_delta', 'update', 'swipe', 'retract', 'note', 'summary', 'history'],
+        defaultTemplate: DEFAULT_WEBHOOK_TEMPLATE,
+        format: (payload, template) => JSON.stringify(renderJsonTemplate(template, templateVars(payload))),
+    },
+    openai_jsonl: {
+        get label() { return t('adapter.openai_jsonl'); },
+        contentType: 'application/x-ndjson',
+        types: ['message', 'full_conversation', 'history', 'batch'],
+        defaultTemplate: 'You are {{character}}.',
+        separator: '', // each example already ends its line
+        format: formatChatJsonl,
+    },
+    markdown: {
+        get label() { return t('adapter.markdown'); },
+        contentType: 'text/markdown; charset=utf-8',
+        types: ['message', 'full_conversation', 'conversation_delta', 'note', 'summary', 'history', 'batch'],
+        defaultTemplate: '## {{character}} · {{date}}\n\n{{transcript}}\n',
+        separator: '\n',
+        format: (payload, template) => renderTemplate(template, templateVars(payload)),
+    },
+};
+
+function getAdapterId(endpoint) {
+    return OUTPUT_ADAPTERS[endpoint.adapter] ? endpoint.adapter : 'openclaw';
+}
+
+function getEndpointTemplate(endpoint) {
+    return endpoint.template || OUTPUT_ADAPTERS[getAdapterId(endpoint)].defaultTemplate;
+}
+
+/** What a one-way adapter "supports", in the shape of a handshake answer */
+function adapterCapabilities(adapterId) {
+    const adapter = OUTPUT_ADAPTERS[adapterId];
+    return {
+        adapter: adapterId,
+        server: adapter.label,
+        version: '',
+        schemaVersions: [],
+        types: adapter.types,
+        features: { batch: adapter.types.includes('batch'), delta: false, auth: [] },
+    };
+}
+
+/** Chat lines carried by a payload, as { role, name, content } */
+function payloadMessages(payload) {
+    if (payload.type === 'message') {
+        return [
+            { role: 'user', name: payload.persona?.name || 'User', content: payload.userMessage },
+            { role: 'assistant', name: payload.speaker || payload.character, content: payload.assistantMessage },
+        ].filter(m => m.content);
+    }
+    return Array.isArray(payload.messages) ? payload.messages : [];
+}
+
+function formatLocalDate(iso) {
+    const date = iso ? new Date(iso) : new Date();
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/** Payload fields plus ready-made text: {{transcript}} (Markdown), {{text}} (plain), {{date}}, {{user}}, {{payload}} */
+function templateVars(payload) {
+    const messages = payloadMessages(payload);
+    const body = payload.content || payload.summary || '';
+    return {
+        ...payload,
+        payload,
+        user: payload.persona?.name || 'User',
+        date: formatLocalDate(payload.timestamp),
+        transcript: messages.length > 0 ? messages.map(m => `**${m.name}:** ${m.content}`).join('\n\n') : body,
+        text: messages.length > 0 ? messages.map(m => `${m.name}: ${m.content}`).join('\n') : body,
+    };
+}
+
+function lookupPath(vars, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), vars);
+}
+
+/** Replace {{path}} with the value as text; objects become JSON */
+function renderTemplate(template, vars) {
+    return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, path) => {
+        const value = lookupPath(vars, path);
+        if (value == null) return '';
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+}
+
+/**
+ * Fill a JSON template. A string that is only "{{path}}" takes the raw value
+ * (objects and numbers stay typed); placeholders inside longer strings are
+ * interpolated as text.
+ */
+function renderJsonTemplate(template, vars) {
+    let parsed;
+    try {
+        parsed = JSON.parse(template);
+    } catch (err) {
+        throw new Error(t('adapter.bad_template', { error: err.message }));
+    }
+    const fill = (node) => {
+        if (typeof node === 'string') {
+            const whole = node.match(/^\{\{\s*([\w.]+)\s*\}\}$/);
+            if (whole) return lookupPath(vars, whole[1]) ?? null;
+            return renderTemplate(node, vars);
+        }
+        if (Array.isArray(node)) return node.map(fill);
+        if (node && typeof node === 'object') return Object.fromEntries(Object.entries(node).map(([k, v]) => [k, fill(v)]));
+        return node;
+    };
+    return fill(parsed);
+}
+
+/** One fine-tuning example per payload; the template is the system prompt */
+function formatChatJsonl(payload, template) {
+    const messages = payloadMessages(payload).filter(m => m.content);
+    if (!messages.some(m => m.role === 'assistant')) return null;
+    const system = renderTemplate(template, templateVars(payload)).trim();
+    return JSON.stringify({
+        messages: [
+            ...(system ? [{ role: 'system', content: system }] : []),
+            ...messages.map(m => ({ role: m.role, content: m.content })),
+        ],
+    }) + '\n';
+}
+
+/**
+ * The body a one-way adapter sends for a payload, or null when there is
+ * nothing to write. Batches become one document of their supported items.
+ */
+function formatPayload(payload, endpoint) {
+    const adapter = OUTPUT_ADAPTERS[getAdapterId(endpoint)];
+    const template = getEndpointTemplate(endpoint);
+    if (payload.type === 'batch') {
+        const parts = payload.items
+            .filter(item => adapter.types.includes(item.payload.type))
+            .map(item => adapter.format(item.payload, template))
+            .filter(Boolean);
+        return parts.length > 0 ? parts.join(adapter.separator) : null;
+    }
+    return adapter.format(payload, template) || null;
+}
+
+/**
+ * A one-way receiver has no per-item results: a 2xx delivers every batch
+ * item it can express, the rest go to the dead-letter list.
+ */
+function acknowledgeAdapted(res, payload, endpoint) {
+    if (payload.type !== 'batch' || !res.ok) return res;
+    const types = OUTPUT_ADAPTERS[getAdapterId(endpoint)].types;
+    const results = payload.items.map(item => (types.includes(item.payload.type)
+        ? { id: item.id, ok: true }
+        : { id: item.id, ok: false, retry: false, error: `${item.payload.type} not supported by this adapter` }));
+    return new Response(JSON.stringify({ ok: true, results }), { status: res.status, headers: { 'Content-Type': 'application/json' } });
+}
+
+/** Stands in for a 2xx reply that couldn't be read: everything sent was delivered */
+function acknowledgeUnreadable(payload) {
+    const body = payload.type === 'batch'
+        ? { ok: true, results: payload.items.map(item => ({ id: item.id, ok: true })) }
+        : { ok: true };
+    return new Response(JSON.stringify(body), { status: 200, headers: { 'Content-Type': 'application/json' } });
+}
+
+// ─── Endpoints ─────────────────────────────────────────────────
+
+function loadEndpointHealth() {
+    try {
+        const stored = localStorage.getItem(HEALTH_STORAGE_KEY);
+        return stored ? JSON.parse(stored) : {};
+    } catch (_) { return {}; }
+}
+
+function recordEndpointHealth(endpoint, health) {
+    const all = loadEndpointHealth();
+    all[endpoint.id] = { ...health, checkedAt: new Date().toISOString() };
+    try {
+        localStorage.setItem(HEALTH_STORAGE_KEY, JSON.stringify(all));
+    } catch (_) { }
+    renderEndpointHealth(endpoint.id);
+}
+
+/**
+ * Endpoints to try for a payload. A routed character only ever goes to its
+ * own endpoint while that one is enabled and has a URL; everything else (and
+ * a character routed to a disabled endpoint) tries the last good one first,
+ * then the list.
+ */
+function getEndpointOrder(charName) {
+    const settings = getSettings();
+    const enabled = settings.endpoints.filter(e => e.enabled && e.url);
+
+    const routedId = charName ? settings.characterRoutes[charName] : null;
+    if (routedId) {
+        const routed = enabled.find(e => e.id === routedId);
+        if (routed) return [routed];
+    }
+
+    const lastGood = enabled.find(e => e.id === settings.lastGoodEndpointId);
+    return lastGood ? [lastGood, ...enabled.filter(e => e !== lastGood)] : enabled;
+}
+
+/** Gateway errors mean "this route is down", not "the server said no" */
+function shouldFailOver(status) {
+    return status === 502 || status === 503 || status === 504;
+}
+
+async function postToEndpoint(endpoint, body, signal, contentType) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), ENDPOINT_TIMEOUT_MS);
+    const onAbort = () => controller.abort();
+    if (signal) signal.addEventListener('abort', onAbort);
+    try {
+        return await fetch(endpoint.url, {
+            method: 'POST',
+            headers: await buildHeaders(body, contentType),
+            body,
+            signal: controller.signal,
+        });
+    } finally {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', onAbort);
+    }
+}
+
+/**
+ * POST a payload — redacted, with auth headers applied — failing over through the
+ * endpoint profiles. Returns the first real server Response (callers decide
+ * what a non-2xx means) and throws only when no endpoint could be reached.
+ * `options.endpoint` pins a single endpoint (per-profile test button);
+ * `options.character` routes payloads that carry no character (batches).
+ * Endpoints whose adapter can't express the payload type are passed over.
+ */
+async function postPayload(payload, options = {}) {
+    const sent = redactPayload(withOrigin(withSchemaVersion(payload)));
+    const body = JSON.stringify(sent);
+    const endpoints = options.endpoint ? [options.endpoint] : getEndpointOrder(options.character ?? payload.character);
+    if (endpoints.length === 0) {
+        recordActivity(sent, body, null, { ok: false, status: 0, latencyMs: 0, error: 'No sync endpoint enabled' });
+        throw new Error('No sync endpoint enabled');
+    }
+
+    let lastError = null;
+    let unreachable = false;       // a network error or gateway reply, not a local problem like a bad template
+    for (const endpoint of endpoints) {
+        const adapterId = getAdapterId(endpoint);
+        const types = OUTPUT_ADAPTERS[adapterId].types;
+        if (types && !types.includes(sent.type)) {
+            lastError = new Error(`${endpoint.name}: ${t('adapter.skips_type', { adapter: OUTPUT_ADAPTERS[adapterId].label, type: sent.type })}`);
+            continue;
+        }
+        const started = Date.now();
+        let wire = { sent, body, key: null };
+        const report = (health) => {
+            recordEndpointHealth(endpoint, health);
+            recordActivity(sent, wire.body, endpoint, health, wire.sent);
+        };
+        try {
+            wire = await encodeForEndpoint(sent, endpoint);
+            // Nothing this adapter would write (e.g. a turn without a reply)
+            if (wire.body === null) return acknowledgeAdapted(new Response(null, { status: 204 }), sent, endpoint);
+            const res = await postToEndpoint(endpoint, wire.body, options.signal, wire.contentType);
+            const latencyMs = Date.now() - started;
+            if (shouldFailOver(res.status)) {
+                report({ ok: false, status: res.status, latencyMs, error: `HTTP ${res.status}` });
+                lastError = new Error(`${endpoint.name}: HTTP ${res.status}`);
+                unreachable = true;
+                continue;
+            }
+            // The receiver has the payload now: a reply we can't decrypt or parse is
+            // recorded, but failing over would deliver it a second time
+            let reply = res;
+            let replyError = '';
+            if (adapterId === 'openclaw') {
+                try {
+                    reply = await decodeResponse(res, wire.key);
+                } catch (err) {
+                    replyError = `unreadable reply: ${err.message}`;
+                    reply = res.ok ? acknowledgeUnreadable(sent) : new Response(null, { status: res.status });
+                }
+            }
+            report({ ok: res.ok, status: res.status, latencyMs, error: replyError || (res.ok ? '' : `HTTP ${res.status}`) });
+            setConnectivity('online');
+            if (res.ok && getSettings().lastGoodEndpointId !== endpoint.id) {
+                updateSettings(s => { s.lastGoodEndpointId = endpoint.id; });
+                log(`🔀 Using endpoint ${endpoint.name} (${endpoint.url})`);
+            }
+            if (adapterId !== 'openclaw') return acknowledgeAdapted(res, sent, endpoint);
+            return reply;
+        } catch (err) {
+            report({ ok: false, status: 0, latencyMs: Date.now() - started, error: err.message });
+            // The caller gave up (e.g. recall timeout) — don't try the rest
+            if (options.signal?.aborted) throw err;
+            lastError = new Error(`${endpoint.name}: ${err.message}`);
+            if (err instanceof TypeError || err.name === 'AbortError') unreachable = true;
+        }
+    }
+    if (unreachable) setConnectivity('offline');
+    throw lastError;
+}
+
+// ─── Protocol & Capabilities ───────────────────────────────────
+// Every payload carries `schemaVersion`. A `capabilities` request asks a
+// receiver which version, payload types and features it speaks; answers are
+// kept per endpoint. Receivers that never answered are assumed to support
+// everything, and the runtime fallbacks (no batch results, no delta ack) apply.
+
+/** Stamp the schema version, including on batch items queued by older versions */
+function withSchemaVersion(payload) {
+    const versioned = { schemaVersion: SYNC_SCHEMA_VERSION, ...payload };
+    if (payload.type === 'batch') {
+        versioned.items = payload.items.map(item => ({
+            ...item,
+            payload: { schemaVersion: SYNC_SCHEMA_VERSION, ...item.payload },
+        }));
+    }
+    return versioned;
+}
+
+function loadCapabilities() {
+    try {
+        const stored = localStorage.getItem(CAPABILITIES_STORAGE_KEY);
+        return stored ? JSON.parse(stored) : {};
+    } catch (_) { return {}; }
+}
+
+function saveEndpointCapabilities(endpointId, capabilities) {
+    const all = loadCapabilities();
+    if (capabilities) all[endpointId] = capabilities;
+    else delete all[endpointId];
+    try {
+        localStorage.setItem(CAPABILITIES_STORAGE_KEY, JSON.stringify(all));
+    } catch (_) { }
+}
+
+/** Handshake answer for native endpoints, the adapter's fixed set otherwise */
+function getEndpointCapabilities(endpoint) {
+    const adapterId = getAdapterId(endpoint);
+    return adapterId === 'openclaw' ? loadCapabilities()[endpoint.id] : adapterCapabilities(adapterId);
+}
+
+/** What the endpoint a payload for `charName` goes to first has reported, or null */
+function getCapabilities(charName) {
+    const [endpoint] = getEndpointOrder(charName);
+    const capabilities = endpoint ? getEndpointCapabilities(endpoint) : null;
+    return capabilities && !capabilities.legacy ? capabilities : null;
+}
+
+function supportsType(type, charName) {
+    const capabilities = getCapabilities(charName);
+    return !capabilities || !Array.isArray(capabilities.types) || capabilities.types.includes(type);
+}
+
+function supportsFeature(feature, charName) {
+    const capabilities = getCapabilities(charName);
+    return !capabilities || capabilities.features?.[feature] !== false;
+}
+
+/**
+ * Ways the receiver and this extension disagree, as messages for the user.
+ * `problems` break syncing; `notes` only mean some feature is skipped.
+ */
+function describeCapabilityMismatch(capabilities) {
+    const problems = [];
+    const notes = [];
+    if (capabilities.legacy) {
+        notes.push(t('caps.legacy'));
+        return { problems, notes };
+    }
+
+    const versions = Array.isArray(capabilities.schemaVersions) ? capabilities.schemaVersions : [];
+    if (versions.length > 0 && !versions.includes(SYNC_SCHEMA_VERSION)) {
+        problems.push(t('caps.version_mismatch', { theirs: versions.join(', v'), ours: SYNC_SCHEMA_VERSION }));
+    }
+
+    const types = Array.isArray(capabilities.types) ? capabilities.types : PAYLOAD_TYPES;
+    const missing = PAYLOAD_TYPES.filter(t => !types.includes(t));
+    if (missing.includes('message')) problems.push(t('caps.no_message'));
+    const skipped = missing.filter(t => t !== 'message');
+    if (skipped.length > 0) notes.push(t('caps.skipped', { types: skipped.join(', ') }));
+    if (capabilities.features?.batch === false) notes.push(t('caps.no_batch'));
+    if (capabilities.features?.delta === false) notes.push(t('caps.no_delta'));
+
+    const required = Array.isArray(capabilities.features?.auth) ? capabilities.features.auth : [];
+    const { token, secret } = getCredentials();
+    if (required.includes('token') && !token) problems.push(t('caps.token_required'));
+    if (required.includes('signature') && !secret) problems.push(t('caps.signature_required'));
+    if (secret && !required.includes('signature')) notes.push(t('caps.signature_unchecked'));
+    if (capabilities.adapter) {
+        if (getSettings().encryption) problems.push(t('caps.adapter_encryption'));
+    } else if (getSettings().encryption && !capabilities.features?.encryption) {
+        problems.push(t('caps.receiver_unencrypted'));
+    } else if (!getSettings().encryption && capabilities.features?.encryption) {
+        problems.push(t('caps.receiver_encrypted'));
+    }
+
+    return { problems, notes };
+}
+
+/**
+ * Send a `capabilities` request to one endpoint and remember the answer.
+ * Receivers that predate the handshake (no `types` in the reply, or a bare
+ * 4xx for the unknown type) are recorded as legacy. Throws when unreachable or
+ * when the receiver refuses our credentials. Endpoints with a one-way
+ * adapter aren't contacted; their capabilities are the adapter's.
+ */
+async function checkCapabilities(endpoint) {
+    const adapterId = getAdapterId(endpoint);
+    if (adapterId !== 'openclaw') {
+        const capabilities = adapterCapabilities(adapterId);
+        const { problems, notes } = describeCapabilityMismatch(capabilities);
+        notes.push(t('caps.one_way'));
+        return { capabilities, problems, notes };
+    }
+    const res = await postPayload({ type: 'capabilities', timestamp: new Date().toISOString() }, { endpoint });
+    if (res.status === 401 || res.status === 403) {
+        throw new Error(t('caps.auth_failed', { status: res.status }));
+    }
+    if (!res.ok && (res.status < 400 || res.status >= 500)) throw new Error(`HTTP ${res.status}`);
+    const data = await res.json().catch(() => null);
+
+    // A versioned receiver rejecting our schemaVersion still names the ones it takes
+    const known = data && (Array.isArray(data.types) || Array.isArray(data.schemaVersions));
+    const capabilities = known
+        ? {
+            server: String(data.server || ''),
+            version: String(data.version || ''),
+            schemaVersions: Array.isArray(data.schemaVersions) ? data.schemaVersions : [],
+            types: Array.isArray(data.types) ? data.types : null,
+            features: data.features || {},
+        }
+        : { legacy: true };
+    capabilities.checkedAt = new Date().toISOString();
+    saveEndpointCapabilities(endpoint.id, capabilities);
+    renderEndpointHealth(endpoint.id);
+
+    const { problems, notes } = describeCapabilityMismatch(capabilities);
+    if (getSettings().encryption && capabilities.features?.encryption) {
+        try {
+            const { keyId } = await getEndpointKey(endpoint);
+            if (capabilities.features.encryption.keyId && keyId !== capabilities.features.encryption.keyId) {
+                problems.push(t('caps.key_mismatch'));
+            }
+        } catch (err) {
+            problems.push(err.message);
+        }
+    }
+    const label = capabilities.legacy ? 'legacy receiver' : `${capabilities.server || 'receiver'} ${capabilities.version}`.trim();
+    log(`🤝 ${endpoint.name}: ${label}${problems.length ? ` — ${problems.join('; ')}` : ''}`);
+    return { capabilities, problems, notes };
+}
+
+const shownMismatches = new Map(); // endpoint id → mismatch text already toasted this session
+
+/**
+ * Handshake with every enabled endpoint on load. Mismatches are always shown,
+ * once per endpoint until they change; an unreachable receiver is only logged
+ * (that's offline noise, which showErrors is for).
+ */
+async function checkAllCapabilities() {
+    for (const endpoint of getSettings().endpoints.filter(e => e.enabled && e.url)) {
+        try {
+            const { problems } = await checkCapabilities(endpoint);
+            const text = problems.join(' · ');
+            if (problems.length > 0 && shownMismatches.get(endpoint.id) !== text) {
+                toastr.error(text, `OpenClaw · ${endpoint.name}`, { timeOut: 10000 });
+            }
+            shownMismatches.set(endpoint.id, text);
+        } catch (err) {
+            log(`🤝 ${endpoint.name}: handshake failed (${err.message})`);
+        }
+    }
+}
+
+// ─── Activity Log ──────────────────────────────────────────────
+// One entry per request attempt (so failovers show up as several), newest
+// last, capped at MAX_ACTIVITY_ENTRIES and MAX_ACTIVITY_CHARS so it never
+// crowds out other keys. Payloads are kept as sent — redacted.
+
+function loadActivity() {
+    try {
+        const stored = localStorage.getItem(ACTIVITY_STORAGE_KEY);
+        return stored ? JSON.parse(stored) : [];
+    } catch (_) { return []; }
+}
+
+/** Keep the newest entries that fit both caps; a failed write is reported, not swallowed */
+function saveActivity(entries) {
+    const kept = [];
+    let size = 2; // []
+    for (let i = entries.length - 1; i >= 0 && kept.length < MAX_ACTIVITY_ENTRIES; i--) {
+        const entrySize = JSON.stringify(entries[i]).length + 1;
+        if (size + entrySize > MAX_ACTIVITY_CHARS) break;
+        size += entrySize;
+        kept.push(entries[i]);
+    }
+    try {
+        localStorage.setItem(ACTIVITY_STORAGE_KEY, JSON.stringify(kept.reverse()));
+    } catch (err) {
+        reportStoreError(err);
+    }
+}
+
+/** `logged` is what was actually sent when it differs from `payload` (an encrypted envelope) */
+function recordActivity(payload, body, endpoint, result, logged = payload) {
+    const size = new Blob([body]).size;
+    // With encryption on, localStorage must not name the chat in the clear either,
+    // and only a sealed envelope may be kept (none exists if encrypting failed)
+    const sealed = getSettings().encryption;
+    const kept = sealed && logged?.type !== 'encrypted' ? null : logged;
+    const entries = loadActivity();
+    entries.push({
+        id: newMessageId(),
+        time: new Date().toISOString(),
+        type: payload.type || '',
+        chatId: sealed ? '' : payload.chatId || '',
+        character: sealed ? '' : payload.character || '',
+        endpointId: endpoint ? endpoint.id : '',
+        endpoint: endpoint ? endpoint.name : '',
+        url: endpoint ? endpoint.url : '',
+        ok: result.ok,
+        status: result.status,
+        latencyMs: result.latencyMs,
+        size,
+        error: result.error || '',
+        payload: size <= MAX_LOGGED_PAYLOAD_BYTES ? kept : null,
+    });
+    saveActivity(entries);
+    if ($('#oc_activity').is(':visible')) renderActivityLog();
+}
+
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+async function copyText(text) {
+    if (navigator.clipboard && window.isSecureContext) {
+        await navigator.clipboard.writeText(text);
+        return;
+    }
+    // Clipboard API needs a secure context; fall back to a hidden textarea
+    const textarea = $('<textarea>').val(text).css({ position: 'fixed', opacity: 0 }).appendTo('body');
+    textarea[0].select();
+    document.execCommand('copy');
+    textarea.remove();
+}
+
+function downloadFile(filename, content, mime) {
+    const url = URL.createObjectURL(new Blob([content], { type: mime }));
+    const a = $('<a>').attr({ href: url, download: filename }).appendTo('body');
+    a[0].click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function exportActivityLog() {
+    const jsonl = loadActivity().map(entry => JSON.stringify(entry)).join('\n');
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+    downloadFile(`openclaw-sync-activity-${stamp}.jsonl`, jsonl + '\n', 'application/x-ndjson');
+}
+
+/** Re-send a logged payload as-is (it was already redacted) */
+async function resendActivity(id) {
+    const entry = loadActivity().find(e => e.id === id);
+    if (!entry || !entry.payload) return;
+    try {
+        // Encrypted entries name no character, so they go back to the endpoint that took them
+        const endpoint = entry.character ? null : getSettings().endpoints.find(e => e.id === entry.endpointId);
+        const res = await postPayload(entry.payload, endpoint ? { endpoint } : { character: entry.character });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        toastr.success(t('toast.resent'), 'OpenClaw Sync', { timeOut: 2000 });
+    } catch (err) {
+        toastr.error(t('toast.resend_failed', { error: err.message }), 'OpenClaw Sync');
+    }
+}
+
+// ─── Offline Buffer ────────────────────────────────────────────
+// Items are { id, payload, attempts, nextAttemptAt, lastError, queuedAt }.
+// Anything the server rejects for good, or that would overflow the buffer,
+// moves to the dead-letter list instead of being dropped.
+
+/** Wrap bare payloads left over from older versions */
+function toBufferItem(entry) {
+    if (entry && entry.id && (entry.payload || entry.sealed)) return entry;
+    return { id: newMessageId(), payload: entry, attempts: 0, nextAttemptAt: 0, lastError: '', queuedAt: Date.now() };
+}
+
+/** A copy of the queue, oldest first; pass the edited copy to saveBuffer */
+function getBuffer() {
+    return storeCache.buffer.slice();
+}
+
+function saveBuffer(buffer) {
+    const written = replaceStoreList('buffer', buffer);
+    renderConnectivityIndicator();
+    return written;
+}
+
+function getDeadLetters() {
+    return storeCache.dead_letters.slice();
+}
+
+function saveDeadLetters(items) {
+    return replaceStoreList('dead_letters', items);
+}
+
+function addToDeadLetters(items, reason) {
+    if (items.length === 0) return;
+    const deadLetters = getDeadLetters();
+    for (const item of items) deadLetters.push({ ...item, lastError: item.lastError || reason, failedAt: Date.now() });
+
+    const overflow = deadLetters.length - MAX_DEAD_LETTERS;
+    if (overflow > 0) {
+        // The only place data is really thrown away — say so loudly
+        toastr.error(t('toast.dead_letters_full', { count: overflow }), 'OpenClaw Sync', { timeOut: 8000 });
+        log(`🗑️ Discarded ${overflow} dead letters (limit ${MAX_DEAD_LETTERS})`);
+        deadLetters.splice(0, overflow);
+    }
+    saveDeadLetters(deadLetters);
+    log(`☠️ ${items.length} items moved to dead letters: ${reason}`);
+}
+
+/** Put dead letters back in the queue for another round of attempts */
+function requeueDeadLetters() {
+    const deadLetters = getDeadLetters();
+    if (deadLetters.length === 0) return 0;
+    // Spread, so items still sealed under another passphrase keep their `sealed` data
+    enqueueItems(deadLetters.map(({ failedAt, seq, ...item }) => ({ ...item, attempts: 0, nextAttemptAt: 0, lastError: '' })));
+    saveDeadLetters([]);
+    return deadLetters.length;
+}
+
+function addToBuffer(payload) {
+    enqueueItems([toBufferItem(payload)]);
+}
+
+/** Append queue items, moving the oldest aside once the buffer is full */
+function enqueueItems(queued) {
+    const settings = getSettings();
+    // Stamped now, so a later flush from another tab still names this one
+    const items = queued.map(item => (item.payload ? { ...item, payload: withOrigin(item.payload) } : item));
+    appendBufferRecords(items);
+    writeStore('buffer', items);
+    const buffer = getBuffer();
+
+    // Warn once while there's still room, then move overflow aside
+    if (buffer.length >= settings.maxBufferSize * BUFFER_WARN_RATIO && !bufferWarningShown) {
+        bufferWarningShown = true;
+        toastr.warning(t('toast.buffer_almost_full', { count: buffer.length, max: settings.maxBufferSize }), 'OpenClaw Sync', { timeOut: 6000 });
+    }
+    if (buffer.length > settings.maxBufferSize) {
+        // Oldest first, but pinned turns only once nothing else is left
+        const overflow = buffer.length - settings.maxBufferSize;
+        const ordered = [...buffer.filter(item => !isPinnedPayload(item.payload)), ...buffer.filter(item => isPinnedPayload(item.payload))];
+        const evicted = new Set(ordered.slice(0, overflow));
+        addToDeadLetters(buffer.filter(item => evicted.has(item)), 'buffer full');
+        saveBuffer(buffer.filter(item => !evicted.has(item)));
+    }
+    log(`📦 Buffered offline (${buffer.length} queued)`);
+    renderConnectivityIndicator();
+    // Something failed to send: make sure the receiver is being watched
+    if (connectivity !== 'offline' && !probeTimer) scheduleProbe();
+}
+
+/**
+ * The queue as JSONL, one buffer item per line — for moving it to another
+ * device. With encryption on, payloads are exported sealed.
+ */
+async function exportBuffer() {
+    const items = await Promise.all(getBuffer().map(({ seq, ...item }) => sealRecord(item)));
+    const jsonl = items.map(item => JSON.stringify(item)).join('\n');
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+    downloadFile(`openclaw-sync-queue-${stamp}.jsonl`, jsonl + '\n', 'application/x-ndjson');
+}
+
+/**
+ * Queue the items of an exported JSONL file (lines may also be bare
+ * payloads). Items already queued are skipped; imported ones start over
+ * with no attempts. Sealed items are opened with the current passphrase.
+ * Returns { added, skipped, invalid }.
+ */
+async function importBuffer(text) {
+    const known = new Set(getBuffer().map(item => item.id));
+    const items = [];
+    let skipped = 0;
+    let invalid = 0;
+    for (const line of text.split('\n')) {
+        if (!line.trim()) continue;
+        let item;
+        try {
+            item = toBufferItem(JSON.parse(line));
+        } catch (_) {
+            invalid++;
+            continue;
+        }
+        if (item.sealed) item = await unsealRecord(item);
+        if (!item.sealed && (!item.payload || typeof item.payload.type !== 'string')) {
+            invalid++;
+        } else if (known.has(item.id)) {
+            skipped++;
+        } else {
+            known.add(item.id);
+            const { seq, failedAt, ...rest } = item;
+            items.push({ ...rest, attempts: 0, nextAttemptAt: 0, lastError: '', queuedAt: item.queuedAt || Date.now() });
+        }
+    }
+    if (items.length > 0) enqueueItems(items);
+    return { added: items.length, skipped, invalid };
+}
+
+function backoffDelay(attempts) {
+    const delay = Math.min(FLUSH_BACKOFF_BASE_MS * 2 ** (attempts - 1), FLUSH_BACKOFF_MAX_MS);
+    return delay / 2 + Math.random() * delay / 2; // jitter so tabs/devices don't line up
+}
+
+/** Mark items as failed once more; those out of attempts become dead letters */
+function recordFailures(failures) {
+    const retry = [];
+    const dead = [];
+    for (const { item, error, permanent } of failures) {
+        // A new object, so saveBuffer sees the change
+        const attempts = item.attempts + 1;
+        const updated = { ...item, attempts, lastError: error, nextAttemptAt: Date.now() + backoffDelay(attempts) };
+        (permanent || attempts >= MAX_FLUSH_ATTEMPTS ? dead : retry).push(updated);
+    }
+    return { retry, dead };
+}
+
+function isPermanentStatus(status) {
+    return [400, 413, 415, 422].includes(status);
+}
+
+/**
+ * Upload items in one `batch` request. Resolves to per-item results, or
+ * null when the receiver doesn't support batches. A batch the receiver finds
+ * too large is halved until the parts fit (or a single item is refused).
+ */
+async function sendBatch(items, character) {
+    const res = await postPayload({
+        type: 'batch',
+        items: items.map(item => ({ id: item.id, payload: item.payload })),
+        timestamp: new Date().toISOString(),
+    }, { character });
+    if (res.status === 413) {
+        if (items.length === 1) return [{ item: items[0], ok: false, error: 'HTTP 413', permanent: true }];
+        const half = Math.ceil(items.length / 2);
+        log(`✂️ Batch of ${items.length} too large, splitting`);
+        const first = await sendBatch(items.slice(0, half), character);
+        const second = first && await sendBatch(items.slice(half), character);
+        return first && second ? first.concat(second) : null;
+    }
+    if (!res.ok) {
+        const error = `HTTP ${res.status}`;
+        return items.map(item => ({ item, ok: false, error, permanent: false }));
+    }
+    const data = await res.json().catch(() => ({}));
+    if (!Array.isArray(data.results)) return null;
+
+    const byId = new Map(data.results.map(r => [r.id, r]));
+    return items.map(item => {
+        const r = byId.get(item.id);
+        if (!r) return { item, ok: false, error: 'no ack', permanent: false };
+        return { item, ok: !!r.ok, error: r.error || '', permanent: r.ok ? false : r.retry === false };
+    });
+}
+
+/** One POST per item, for receivers without batch support */
+async function sendIndividually(items) {
+    const results = [];
+    for (const item of items) {
+        try {
+            const res = await postPayload(item.payload);
+            results.push({ item, ok: res.ok, error: res.ok ? '' : `HTTP ${res.status}`, permanent: isPermanentStatus(res.status) });
+        } catch (err) {
+            // Still offline — leave the rest untouched
+            if (results.length === 0) throw err;
+            break;
+        }
+    }
+    return results;
+}
+
+/**
+ * Split items into batches that never mix endpoint routes, so a routed
+ * character's payloads can't ride along to another endpoint.
+ */
+function chunkByRoute(items, settings) {
+    const groups = new Map();
+    for (const item of items) {
+        const route = settings.characterRoutes[item.payload.character] || '';
+        if (!groups.has(route)) groups.set(route, []);
+        groups.get(route).push(item);
+    }
+    const chunks = [];
+    for (const group of groups.values()) {
+        for (let i = 0; i < group.length; i += settings.flushBatchSize) {
+            chunks.push(group.slice(i, i + settings.flushBatchSize));
+        }
+    }
+    return chunks;
+}
+
+/**
+ * Upload queued payloads in batches. Items wait out their own backoff
+ * unless `force` is set (manual flush).
+ */
+async function flushBuffer(force = false) {
+    // Only the leader tab flushes; a manual flush in another tab takes over first
+    if (!isLeader && !(force && await ensureLeader())) return;
+    if (flushInProgress) return;
+    if (!force && (Date.now() < flushRetryAt || isSyncPaused())) return;
+
+    // Items sealed under another passphrase wait until it's entered
+    const queued = getBuffer().filter(item => item.payload);
+    if (queued.length < getBuffer().length) {
+        log(`🔒 ${getBuffer().length - queued.length} buffered items can't be decrypted with the current passphrase`);
+    }
+
+    // Rules may have changed since these were queued
+    const blocked = queued.filter(item => !isSyncAllowed({
+        character: item.payload.character,
+        members: item.payload.group ? item.payload.group.members : [],
+        chatId: item.payload.chatId,
+    }));
+    if (blocked.length > 0) {
+        const blockedIds = new Set(blocked.map(item => item.id));
+        saveBuffer(getBuffer().filter(item => !blockedIds.has(item.id)));
+        log(`🚫 Dropped ${blocked.length} buffered payloads now excluded by sync rules`);
+    }
+
+    const due = queued.filter(item => !blocked.includes(item) && (force || item.nextAttemptAt <= Date.now()));
+    if (due.length === 0) return;
+
+    const settings = getSettings();
+    flushInProgress = true;
+    log(`📤 Flushing ${due.length} buffered messages...`);
+
+    let delivered = 0;
+    try {
+        for (const chunk of chunkByRoute(due, settings)) {
+            if (!isLeader) break; // demoted: the new leader reloads the queue and sends the rest
+            let results;
+            try {
+                const character = chunk[0].payload.character;
+                results = batchUnsupported || !supportsFeature('batch', character) ? null : await sendBatch(chunk, character);
+                if (!results) {
+                    batchUnsupported = true;
+                    results = await sendIndividually(chunk);
+                }
+            } catch (err) {
+                // Network error: back off the whole queue, attempts are untouched
+                flushFailures++;
+                flushRetryAt = Date.now() + backoffDelay(flushFailures);
+                log(`📦 Flush stopped (${err.message}), retry in ${Math.round((flushRetryAt - Date.now()) / 1000)}s`);
+                break;
+            }
+            flushFailures = 0;
+            flushRetryAt = 0;
+
+            // A tab that took over meanwhile has reloaded the queue and is flushing it;
+            // writing our copy back would restore what it already sent. The receiver
+            // dedups by id, so the chunk going out twice is harmless.
+            if (!isLeader) {
+                log('👥 Lost leadership mid-flush, leaving the queue to the new leader');
+                break;
+            }
+
+            // Re-read: new items may have been queued while we were waiting
+            const okIds = new Set(results.filter(r => r.ok).map(r => r.item.id));
+            const { retry, dead } = recordFailures(results.filter(r => !r.ok));
+            const updated = new Map(retry.map(item => [item.id, item]));
+            const deadIds = new Set(dead.map(item => item.id));
+            saveBuffer(getBuffer()
+                .filter(item => !okIds.has(item.id) && !deadIds.has(item.id))
+                .map(item => updated.get(item.id) || item));
+            addToDeadLetters(dead, 'rejected by server');
+            delivered += okIds.size;
+        }
+    } finally {
+        flushInProgress = false;
+    }
+
+    const remaining = getBuffer().length;
+    if (remaining < settings.maxBufferSize * BUFFER_WARN_RATIO) bufferWarningShown = false;
+    if (delivered > 0 && remaining === 0) {
+        log('✅ Buffer flushed completely');
+        if (settings.showNotifications) {
+            toastr.success(t('toast.flushed', { count: delivered }), 'OpenClaw Sync', { timeOut: 3000 });
+        }
+    } else if (remaining > 0) {
+        log(`⚠️ ${remaining} messages still buffered (${delivered} delivered)`);
+    }
+}
+
+// ─── Connectivity Monitor ──────────────────────────────────────
+// Follows the browser's online/visibility events and the outcome of real
+// requests. While the receiver is unreachable it is probed with backoff;
+// as soon as it answers, the buffer is flushed without waiting for the next
+// message. A corner indicator shows the state and how much is queued.
+
+let connectivity = 'unknown';     // 'online' | 'offline' | 'unknown'
+let probeTimer = null;
+let probeInProgress = false;
+let probeFailures = 0;
+let lastProbeAt = 0;
+let nextProbeAt = 0;
+
+/** Called with every outcome: probes, and postPayload reaching (or missing) all endpoints */
+function setConnectivity(state) {
+    if (state === 'online') probeFailures = 0;
+    if (state === connectivity) return;
+    connectivity = state;
+    log(state === 'online' ? '🌐 Receiver reachable' : '📴 Receiver unreachable');
+    renderConnectivityIndicator();
+    if (state === 'offline') scheduleProbe();
+}
+
+function cancelProbe() {
+    clearTimeout(probeTimer);
+    probeTimer = null;
+    nextProbeAt = 0;
+}
+
+function scheduleProbe(delay) {
+    cancelProbe();
+    // The 'online' event restarts probing; hidden tabs resume on 'visibilitychange'
+    if (navigator.onLine === false || document.hidden) return;
+    const wait = delay ?? Math.min(FLUSH_BACKOFF_BASE_MS * 2 ** probeFailures, PROBE_BACKOFF_MAX_MS);
+    nextProbeAt = Date.now() + wait;
+    probeTimer = setTimeout(() => probeConnectivity('backoff'), wait);
+}
+
+/** Is anything listening at the endpoint's host? `no-cors` accepts any reply and writes nothing */
+async function probeEndpoint(endpoint) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), PROBE_TIMEOUT_MS);
+    try {
+        await fetch(endpoint.url, { method: 'HEAD', mode: 'no-cors', cache: 'no-store', signal: controller.signal });
+        return true;
+    } catch (_) {
+        return false;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Probe the endpoints in failover order and flush the buffer if one is up.
+ * While items stay queued (per-item backoff) the check repeats.
+ */
+async function probeConnectivity(reason) {
+    const settings = getSettings();
+    if (probeInProgress || !settings.enabled || !isLeader) return;
+    if (isSyncPaused()) {
+        renderConnectivityIndicator();
+        return;
+    }
+    if (navigator.onLine === false) {
+        setConnectivity('offline');
+        return;
+    }
+
+    probeInProgress = true;
+    lastProbeAt = Date.now();
+    let reachable = false;
+    try {
+        for (const endpoint of getEndpointOrder()) {
+            if (await probeEndpoint(endpoint)) {
+                reachable = true;
+                break;
+            }
+        }
+    } finally {
+        probeInProgress = false;
+    }
+
+    if (!reachable) {
+        probeFailures++;
+        if (connectivity === 'offline') scheduleProbe();
+        else setConnectivity('offline');
+        renderConnectivityIndicator();
+        return;
+    }
+
+    setConnectivity('online');
+    if (getBuffer().length > 0) {
+        log(`🌐 Flushing buffer (${reason})`);
+        flushRetryAt = 0; // the network backoff was about this outage
+        flushFailures = 0;
+        await flushBuffer();
+    }
+    // A flush that hit the network again has already gone back to backoff
+    if (connectivity === 'online') {
+        if (getBuffer().length > 0) scheduleProbe(PROBE_RECHECK_MS);
+        else cancelProbe();
+    }
+    renderConnectivityIndicator();
+}
+
+function startConnectivityMonitor() {
+    window.addEventListener('online', () => {
+        probeFailures = 0;
+        probeConnectivity('online');
+    });
+    window.addEventListener('offline', () => {
+        cancelProbe();
+        setConnectivity('offline');
+    });
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden) return;
+        if (connectivity !== 'online' || getBuffer().length > 0) probeConnectivity('visible');
+    });
+    renderConnectivityIndicator();
+    probeConnectivity('startup');
+}
+
+/** The status pill outside the settings drawer; click to check now */
+function renderConnectivityIndicator() {
+    const settings = getSettings();
+    let el = $('#oc_connectivity');
+    if (!settings.enabled || !settings.connectivityIndicator) {
+        el.remove();
+        return;
+    }
+    if (el.length === 0) {
+        el = $('<div id="oc_connectivity"></div>').appendTo('body').on('click', () => {
+            probeFailures = 0;
+            probeConnectivity('manual');
+        });
+    }
+    if (!isLeader) {
+        el.text(t('pill.follower')).removeClass('offline').attr('title', t('pill.follower_title'));
+        return;
+    }
+    const queued = getBuffer().length;
+    const state = isSyncPaused() ? t('pill.paused')
+        : connectivity === 'online' ? t('pill.online')
+            : connectivity === 'offline' ? t('pill.offline') : t('pill.checking');
+    el.text(queued > 0 ? t('pill.queued', { state, count: queued }) : state)
+        .toggleClass('offline', connectivity === 'offline')
+        .attr('title', [
+            t('pill.title'),
+            lastProbeAt ? t('pill.last_probe', { time: new Date(lastProbeAt).toLocaleTimeString() }) : '',
+            nextProbeAt ? t('pill.next_probe', { time: new Date(nextProbeAt).toLocaleTimeString() }) : '',
+        ].filter(Boolean).join('\n'));
+}
+
+// ─── Tab Coordination ──────────────────────────────────────────
+// Tabs of one browser share the IndexedDB buffer and ledger, so only one of
+// them — the leader — sends, flushes, probes and runs the idle timer.
+// Leadership is a Web Lock held for the tab's lifetime: the tab the user is
+// working in steals it, and when the leader closes a waiting tab takes over.
+// Without Web Locks a BroadcastChannel "last claim wins" is used instead.
+// Each payload names its device and tab in `origin`, so a receiver fed by
+// several devices can coalesce the same turn sent twice.
+
+const INSTANCE_ID = newMessageId(); // this tab, for this page load
+let isLeader = false;
+let tabChannel = null;
+let lockWait = null;              // AbortController of our queued lock request
+let releaseLeadership = null;     // ends the held lock
+let leadershipWaiters = [];
+
+function getDeviceId() {
+    let id = localStorage.getItem(DEVICE_ID_STORAGE_KEY);
+    if (!id) {
+        id = newMessageId();
+        try {
+            localStorage.setItem(DEVICE_ID_STORAGE_KEY, id);
+        } catch (_) { }
+    }
+    return id;
+}
+
+/** Stamp where a payload came from; payloads queued elsewhere keep theirs */
+function withOrigin(payload) {
+    const stamped = { origin: { deviceId: getDeviceId(), instanceId: INSTANCE_ID }, ...payload };
+    if (payload.type === 'batch') {
+        stamped.items = payload.items.map(item => ({ ...item, payload: withOrigin(item.payload) }));
+    }
+    return stamped;
+}
+
+async function becomeLeader() {
+    if (isLeader) return;
+    isLeader = true;
+    log('👑 This tab now syncs for this browser');
+    tabChannel?.postMessage({ type: 'leader', instanceId: INSTANCE_ID });
+    await loadLocalStore(); // other tabs have been writing
+    leadershipWaiters.splice(0).forEach(resolve => resolve(true));
+    renderLeadership();
+    resetIdleTimer();
+    probeConnectivity('leader');
+}
+
+function becomeFollower() {
+    if (!isLeader) return;
+    isLeader = false;
+    log('👥 Another tab took over syncing');
+    if (idleTimer) clearTimeout(idleTimer);
+    idleTimer = null;
+    cancelProbe();
+    renderLeadership();
+}
+
+/**
+ * Ask for the leader lock. Without `steal` the request waits in line until
+ * the leader closes; with it, the current leader is demoted at once.
+ */
+function requestLeadership(steal = false) {
+    if (isLeader) return;
+    if (!navigator.locks) {
+        // Fallback: claim and let everyone else step down
+        tabChannel?.postMessage({ type: 'leader', instanceId: INSTANCE_ID });
+        becomeLeader();
+        return;
+    }
+    if (lockWait && !steal) return;
+    lockWait?.abort();
+    const controller = steal ? null : new AbortController();
+    lockWait = controller;
+    navigator.locks.request(TAB_LOCK_NAME, steal ? { steal: true } : { signal: controller.signal }, () => {
+        lockWait = null;
+        becomeLeader();
+        return new Promise(resolve => { releaseLeadership = resolve; });
+    }).catch(err => {
+        if (err.name !== 'AbortError') {
+            log(`⚠️ Leader election failed: ${err.message}`);
+            return;
+        }
+        if (controller?.signal.aborted) return; // we gave up waiting in order to steal
+        // Stolen by the tab the user is working in — wait for our turn again
+        releaseLeadership = null;
+        becomeFollower();
+        requestLeadership();
+    });
+}
+
+/**
+ * Events in a follower tab mean the user is working here: take over before
+ * syncing. Resolves false if leadership didn't arrive in time.
+ */
+function ensureLeader() {
+    if (isLeader) return Promise.resolve(true);
+    const waited = new Promise(resolve => {
+        leadershipWaiters.push(resolve);
+        setTimeout(() => resolve(isLeader), LEADERSHIP_WAIT_MS);
+    });
+    requestLeadership(true);
+    return waited;
+}
+
+function startTabCoordination() {
+    if (typeof BroadcastChannel !== 'undefined') {
+        tabChannel = new BroadcastChannel(TAB_CHANNEL_NAME);
+        tabChannel.onmessage = ({ data }) => {
+            if (data?.type === 'leader' && data.instanceId !== INSTANCE_ID && !navigator.locks) {
+                becomeFollower();
+            } else if (data?.type === 'resign' && !navigator.locks && !document.hidden) {
+                requestLeadership();
+            }
+        };
+    }
+    // Without Web Locks nobody inherits leadership from a closed tab on their own
+    window.addEventListener('pagehide', () => {
+        if (isLeader) tabChannel?.postMessage({ type: 'resign', instanceId: INSTANCE_ID });
+        releaseLeadership?.();
+    });
+    // The tab in front leads
+    document.addEventListener('visibilitychange', () => {
+        if (!document.hidden) requestLeadership(true);
+    });
+    renderLeadership();
+    requestLeadership(!document.hidden);
+}
+
+function renderLeadership() {
+    $('#oc_leader').text(isLeader ? t('ui.leader') : t('ui.follower'));
+    renderConnectivityIndicator();
+}
+
+// ─── Sync Functions ────────────────────────────────────────────
+
+// Optional field groups of a `message` payload, each toggled in ⚡ 即時同步
+const TURN_METADATA_GROUPS = {
+    generation: { get label() { return t('meta.generation'); } },
+    tokens: { get label() { return t('meta.tokens'); } },
+    sendDate: { get label() { return t('meta.send_date'); } },
+    swipes: { get label() { return t('meta.swipes'); } },
+    reasoning: { get label() { return t('meta.reasoning'); } },
+    attachments: { get label() { return t('meta.attachments'); } },
+};
+const MAX_INLINE_ATTACHMENT_BYTES = 2 * 1024 * 1024; // bigger files are sent as references
+
+async function messageTokenCount(msg) {
+    if (typeof msg.extra?.token_count === 'number') return msg.extra.token_count;
+    return countTokens(msg.mes || '');
+}
+
+/** Images, videos and files ST stored on a message, as absolute URLs */
+function listAttachments(msg, role) {
+    const extra = msg?.extra || {};
+    const found = [];
+    const add = (kind, url, name) => {
+        if (typeof url !== 'string' || !url || found.some(a => a.url === url)) return;
+        const inline = url.startsWith('data:');
+        found.push({
+            role,
+            kind,
+            name: name || (inline ? '' : decodeURIComponent(url.split('/').pop().split('?')[0])),
+            url: inline ? url : new URL(url, location.origin).href,
+        });
+    };
+    add('image', extra.image, extra.title);
+    add('video', extra.video);
+    for (const media of Array.isArray(extra.media) ? extra.media : []) add(media.type || 'image', media.url, media.title);
+    for (const file of [extra.file, ...(Array.isArray(extra.files) ? extra.files : [])]) {
+        if (file) add('file', file.url, file.name);
+    }
+    return found;
+}
+
+function readAsBase64(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+/**
+ * Reference mode sends URLs (inline `data:` images are left out — they can be
+ * megabytes); inline mode embeds each file as base64 when small enough.
+ */
+async function resolveAttachment(attachment, mode) {
+    const isDataUrl = attachment.url.startsWith('data:');
+    if (mode !== 'inline') return isDataUrl ? { ...attachment, url: '', omitted: 'inline data' } : attachment;
+    try {
+        const res = await fetch(attachment.url);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const blob = await res.blob();
+        const base = { ...attachment, url: isDataUrl ? '' : attachment.url, mimeType: blob.type, size: blob.size };
+        if (blob.size > MAX_INLINE_ATTACHMENT_BYTES) return { ...base, omitted: 'too large' };
+        return { ...base, data: await readAsBase64(blob) };
+    } catch (err) {
+        return { ...attachment, url: isDataUrl ? '' : attachment.url, omitted: err.message };
+    }
+}
+
+/** The enabled metadata groups for one turn, ready to spread into the payload */
+async function buildTurnMetadata(userMsg, aiMsg, settings = getSettings()) {
+    const groups = { ...defaultSettings.turnMetadata, ...settings.turnMetadata };
+    const extra = aiMsg?.extra || {};
+    const meta = {};
+    if (groups.generation) meta.generation = { api: extra.api || '', model: extra.model || '' };
+    if (groups.tokens && aiMsg) {
+        meta.tokens = { user: userMsg ? await messageTokenCount(userMsg) : 0, assistant: await messageTokenCount(aiMsg) };
+    }
+    if (groups.sendDate) meta.sendDate = { user: userMsg?.send_date || '', assistant: aiMsg?.send_date || '' };
+    if (groups.swipes) meta.swipeCount = Array.isArray(aiMsg?.swipes) ? aiMsg.swipes.length : 1;
+    if (groups.reasoning && extra.reasoning) {
+        meta.reasoning = extra.reasoning;
+        if (typeof extra.reasoning_duration === 'number') meta.reasoningDurationMs = extra.reasoning_duration;
+    }
+    if (groups.attachments) {
+        const found = [...listAttachments(userMsg, 'user'), ...listAttachments(aiMsg, 'assistant')];
+        if (found.length > 0) meta.attachments = await Promise.all(found.map(a => resolveAttachment(a, settings.attachmentMode)));
+    }
+    return meta;
+}
+
+/**
+ * `meta` carries what only the caller knows about the turn:
+ * { userMessageId, assistantMessageId, swipeId, speaker, userMsg, aiMsg }.
+ * The ST message objects feed the optional metadata groups.
+ */
+async function buildMessagePayload(userMessage, assistantMessage, chatId, meta = {}) {
+    const charName = getCharacterName();
+    return {
+        type: 'message',
+        character: charName,
+        speaker: meta.speaker || charName,
+        userMessage: userMessage || '',
+        assistantMessage: assistantMessage || '',
+        userMessageId: meta.userMessageId || '',
+        assistantMessageId: meta.assistantMessageId || '',
+        swipeId: meta.swipeId ?? 0,
+        chatId: chatId || '',
+        ...getAttribution(),
+        ...turnPriority(meta.userMsg, meta.aiMsg),
+        ...await buildTurnMetadata(meta.userMsg, meta.aiMsg),
+        timestamp: new Date().toISOString(),
+    };
+}
+
+/**
+ * Ledger identity and digest of a turn. Every path that changes a turn on the
+ * server (real-time sync, edits, swipes) records it with these, so they agree.
+ */
+async function turnLedgerKey(userMessage, assistantMessage, meta) {
+    const { pinnedRoles } = turnPriority(meta.userMsg, meta.aiMsg);
+    const digest = await sha256Hex(`${userMessage || ''}\u0000${assistantMessage || ''}${pinnedRoles ? `\u0000pinned:${pinnedRoles}` : ''}`);
+    const identity = meta.assistantMessageId
+        ? messageIdentity(meta.assistantMessageId, meta.swipeId)
+        : `sha256:${digest}`;
+    return { identity, digest };
+}
+
+/**
+ * POST a single message turn to the sync endpoint. `meta.force` (the
+ * message's send-now button) ignores the real-time switch and the ledger.
+ * Resolves to 'sent', 'queued', 'duplicate', 'excluded', 'disabled' or 'error'.
+ */
+async function syncMessage(userMessage, assistantMessage, chatId, meta = {}) {
+    const settings = getSettings();
+    if (!settings.enabled || (!settings.realtimeSync && !meta.force)) return 'disabled';
+    if (!isCurrentChatAllowed(chatId)) {
+        log('🚫 Message not synced — chat excluded by sync rules');
+        return 'excluded';
+    }
+    ({ userMessage, assistantMessage, meta } = withoutExcludedMessages(userMessage, assistantMessage, meta));
+    if (!userMessage && !assistantMessage) {
+        log('🙈 Message not synced — excluded from memory');
+        return 'excluded';
+    }
+
+    // Dedup check — same message identity with the same content (and pins)
+    const { identity, digest } = await turnLedgerKey(userMessage, assistantMessage, meta);
+    if (settings.dedup && !meta.force && getLedgerEntry(chatId, identity)?.digest === digest) {
+        log(`⏭️ Skipped duplicate: ${identity}`);
+        return 'duplicate';
+    }
+
+    const payload = await buildMessagePayload(userMessage, assistantMessage, chatId, meta);
+    const charName = payload.character;
+
+    if (isSyncPaused()) {
+        // Keep it for later rather than losing the turn
+        addToBuffer(payload);
+        recordLedgerEntry(chatId, identity, digest, payload.type);
+        return 'queued';
+    }
+
+    try {
+        const res = await postPayload(payload);
+
+        if (res.ok) {
+            recordLedgerEntry(chatId, identity, digest, payload.type);
+            log(`✅ Synced message: ${charName} | ${(userMessage || '').substring(0, 40)}...`);
+            settings.lastSyncTime = new Date().toISOString();
+            if (settings.showNotifications) {
+                toastr.success(t('toast.synced'), 'OpenClaw', { timeOut: 1500 });
+            }
+            // Try flushing buffer while we're online
+            await flushBuffer();
+            return 'sent';
+        } else {
+            throw new Error(`HTTP ${res.status}`);
+        }
+    } catch (err) {
+        log(`📦 Offline or error: ${err.message}`);
+        if (settings.offlineBuffer) {
+            addToBuffer(payload);
+            recordLedgerEntry(chatId, identity, digest, payload.type); // queued counts as sent
+        }
+        if (settings.showErrors) {
+            toastr.warning(t('toast.offline_buffered'), 'OpenClaw Sync', { timeOut: 2000 });
+        }
+        return settings.offlineBuffer ? 'queued' : 'error';
+    }
+}
+
+/**
+ * Send only the messages the server hasn't acknowledged for this chat.
+ * Returns 'synced', 'unchanged', or 'resync' when a full resend is needed.
+ */
+async function syncConversationDelta(chatId, charName, messages, cursorState) {
+    const present = new Set(messages.map(m => m.id));
+    const changed = messages.filter(m => cursorState.digests[m.id] !== digestConversationMessage(m));
+    const removedIds = Object.keys(cursorState.digests).filter(id => !present.has(id));
+
+    if (changed.length === 0 && removedIds.length === 0) return 'unchanged';
+
+    const payload = {
+        type: 'conversation_delta',
+        character: charName,
+        chatId: chatId,
+        baseCursor: cursorState.cursor,
+        cursor: messages[messages.length - 1].id,
+        messageCount: messages.length,
+        messages: changed,
+        removedIds,
+        ...getAttribution(),
+        timestamp: new Date().toISOString(),
+    };
+
+    const res = await postPayload(payload);
+    const data = await res.json().catch(() => ({}));
+
+    // 409 / resync: the server's log has a gap (or it wants everything again)
+    if (res.status === 409 || data.resync) {
+        log(`🔁 Server requested resync for ${chatId}${data.reason ? ` (${data.reason})` : ''}`);
+        return 'resync';
+    }
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    if (!data.ack) {
+        // Older receivers accept anything with a 200 but don't understand deltas
+        log('⚠️ Server did not acknowledge delta — falling back to full sync');
+        deltaUnsupported = true;
+        return 'resync';
+    }
+
+    saveConversationCursor(chatId, data.ack, messages);
+    log(`✅ Delta synced: ${charName} (${changed.length} changed, ${removedIds.length} removed)`);
+    return 'synced';
+}
+
+/** One entry of a full_conversation's `messages` */
+function toConversationMessage(msg, id) {
+    const message = {
+        id,
+        swipeId: msg.swipe_id ?? 0,
+        role: msg.is_user ? 'user' : 'assistant',
+        name: getSpeakerName(msg),
+        content: msg.mes || '',
+        timestamp: msg.send_date || '',
+    };
+    if (isMessagePinned(msg)) message.pinned = true;
+    return message;
+}
+
+/**
+ * POST the full conversation to the sync endpoint — or, once the server
+ * has acknowledged a cursor for this chat, just what changed since then.
+ * Resolves to 'synced', 'unchanged', 'excluded', 'empty', 'paused',
+ * 'disabled' or 'error'.
+ */
+async function syncFullConversation() {
+    const settings = getSettings();
+    if (!settings.enabled || !settings.fullConversationSync) return 'disabled';
+    if (isSyncPaused()) return 'paused';
+
+    try {
+        const context = SillyTavern.getContext();
+        const chat = context.chat;
+        if (!chat || chat.length < 2) return 'empty';
+
+        const charName = getCharacterName();
+        const chatId = context.chatId || '';
+        if (!isCurrentChatAllowed(chatId)) {
+            log('🚫 Full conversation not synced — chat excluded by sync rules');
+            return 'excluded';
+        }
+
+        // Build full message list
+        const included = chat.filter(msg => !msg.is_system && !isMessageExcluded(msg));
+        const unstamped = included.some(msg => !peekMessageId(msg));
+        const messages = included.map(msg => toConversationMessage(msg, getMessageId(msg)));
+        if (messages.length === 0) return 'empty';
+        // Unsaved IDs would be new ones after a reload, and the ledger would no longer match
+        if (unstamped) saveOpenChat();
+
+        const cursorState = getConversationCursor(chatId);
+        const useDelta = settings.deltaSync && !deltaUnsupported && supportsFeature('delta', charName);
+        if (useDelta && cursorState) {
+            const result = await syncConversationDelta(chatId, charName, messages, cursorState);
+            if (result === 'unchanged') {
+                log('⏭️ Full conversation already synced');
+                return 'unchanged';
+            }
+            if (result === 'synced') {
+                snapshotMessageIds(chat);
+                settings.lastSyncTime = new Date().toISOString();
+                if (settings.showNotifications) {
+                    toastr.info(t('toast.delta_synced'), 'OpenClaw', { timeOut: 2000 });
+                }
+                return 'synced';
+            }
+            clearConversationCursor(chatId);
+        } else if (cursorState && matchesConversationCursor(cursorState, messages)) {
+            // Without deltas an unchanged chat would otherwise be re-sent in full every time
+            log('⏭️ Full conversation already synced');
+            return 'unchanged';
+        }
+
+        const payload = {
+            type: 'full_conversation',
+            character: charName,
+            chatId: chatId,
+            cursor: messages[messages.length - 1].id,
+            messageCount: messages.length,
+            messages: messages,
+            ...getAttribution(),
+            timestamp: new Date().toISOString(),
+        };
+
+        const res = await postPayload(payload);
+
+        if (res.ok) {
+            const data = await res.json().catch(() => ({}));
+            saveConversationCursor(chatId, data.ack || payload.cursor, messages);
+            snapshotMessageIds(chat);
+            settings.lastSyncTime = new Date().toISOString();
+            log(`✅ Full conversation synced: ${charName} (${messages.length} messages)`);
+            if (settings.showNotifications) {
+                toastr.info(t('toast.full_synced', { count: messages.length }), 'OpenClaw', { timeOut: 2000 });
+            }
+            return 'synced';
+        } else {
+            throw new Error(`HTTP ${res.status}`);
+        }
+    } catch (err) {
+        log(`❌ Full sync error: ${err.message}`);
+        return 'error';
+    }
+}
+
+// ─── Change Propagation ────────────────────────────────────────
+
+/**
+ * POST an update/swipe/retract/note payload. These must reach the server in
+ * order, so failures always go to the buffer (regardless of offlineBuffer).
+ * Resolves to 'sent', 'queued', 'excluded', 'unsupported' or 'disabled'.
+ * `allowed` overrides the rule check for payloads about a chat that is no
+ * longer open.
+ */
+async function syncChange(payload, allowed = isCurrentChatAllowed(payload.chatId)) {
+    const settings = getSettings();
+    if (!settings.enabled) return 'disabled';
+    if (!allowed) return 'excluded';
+    if (!supportsType(payload.type, payload.character)) {
+        log(`⏭️ Receiver doesn't support ${payload.type} — not sent`);
+        return 'unsupported';
+    }
+    if (isSyncPaused()) {
+        addToBuffer(payload);
+        return 'queued';
+    }
+
+    try {
+        const res = await postPayload(payload);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        log(`✅ Synced ${payload.type}: ${payload.messageId || (payload.messageIds || []).join(', ') || payload.id || payload.chatId}`);
+        settings.lastSyncTime = new Date().toISOString();
+        return 'sent';
+    } catch (err) {
+        log(`📦 Offline or error (${payload.type}): ${err.message}`);
+        addToBuffer(payload);
+        if (settings.showErrors) {
+            toastr.warning(t('toast.offline_buffered'), 'OpenClaw Sync', { timeOut: 2000 });
+        }
+        return 'queued';
+    }
+}
+
+function changeBase(type, chatId) {
+    return {
+        type,
+        character: getCharacterName(),
+        chatId: chatId || '',
+        ...getAttribution(),
+        timestamp: new Date().toISOString(),
+    };
+}
+
+/** A message the server already knows was edited */
+async function syncMessageEdit(msg, chatId) {
+    const messageId = peekMessageId(msg);
+    if (!messageId || isMessageExcluded(msg)) return; // never synced, nothing to correct
+
+    const result = await syncChange({
+        ...changeBase('update', chatId),
+        messageId,
+        role: msg.is_user ? 'user' : 'assistant',
+        speaker: getSpeakerName(msg),
+        swipeId: msg.swipe_id ?? 0,
+        content: msg.mes || '',
+    });
+    if (result === 'sent' || result === 'queued') await recordTurnChange(msg, chatId, 'update');
+}
+
+/** The visible swipe of a known message changed (or a new one was generated) */
+async function syncMessageSwipe(msg, chatId) {
+    const messageId = peekMessageId(msg);
+    if (!messageId || isMessageExcluded(msg)) return;
+
+    const result = await syncChange({
+        ...changeBase('swipe', chatId),
+        messageId,
+        speaker: getSpeakerName(msg),
+        swipeId: msg.swipe_id ?? 0,
+        swipeCount: Array.isArray(msg.swipes) ? msg.swipes.length : 1,
+        content: msg.mes || '',
+    });
+    if (result === 'sent' || result === 'queued') await recordTurnChange(msg, chatId, 'swipe');
+}
+
+/**
+ * After an edit or swipe reached the server (or the queue), store the turn
+ * it belongs to in the ledger the way syncMessage would, so a later real-time
+ * sync of the same turn is recognized as a duplicate.
+ */
+async function recordTurnChange(msg, chatId, type) {
+    const chat = SillyTavern.getContext().chat || [];
+    const { userMsg, aiMsg } = findTurn(chat, chat.indexOf(msg));
+    const assistantMessageId = aiMsg ? peekMessageId(aiMsg) : '';
+    if (!assistantMessageId) return; // a turn without a reply is keyed by content alone
+    const turn = withoutExcludedMessages(userMsg?.mes || '', aiMsg.mes || '', {
+        userMsg, aiMsg, assistantMessageId, swipeId: aiMsg.swipe_id ?? 0,
+    });
+    const { identity, digest } = await turnLedgerKey(turn.userMessage, turn.assistantMessage, turn.meta);
+    recordLedgerEntry(chatId, identity, digest, type);
+}
+
+/** Messages (or a single swipe of one) removed from the chat */
+async function syncRetract(messageIds, chatId, swipeId) {
+    if (messageIds.length === 0) return;
+
+    const payload = { ...changeBase('retract', chatId), messageIds };
+    if (swipeId !== undefined) payload.swipeId = swipeId;
+    await syncChange(payload);
+}
+
+// ─── Message Controls ──────────────────────────────────────────
+// Buttons on each chat message: send its turn now, pin it as important, or
+// exclude it from memory. The flags live in the message's extra data (like
+// its ID) so they travel with the chat file. Excluded messages are left out
+// of every payload and purged from the queue; pinned ones carry `pinned` /
+// `priority: 'pinned'` and are the last to be pushed out of a full buffer.
+
+const EXCLUDE_FLAG = 'openclaw_exclude';
+const PIN_FLAG = 'openclaw_pinned';
+
+function hasMessageFlag(msg, flag) {
+    if (!msg) return false;
+    if (msg.extra && flag in msg.extra) return !!msg.extra[flag];
+    return (msg.swipe_info || []).some(info => info?.extra?.[flag]);
+}
+
+/** Set or clear a flag on the message and each of its swipes, like its ID */
+function setMessageFlag(msg, flag, on) {
+    if (!msg.extra) msg.extra = {};
+    for (const extra of [msg.extra, ...(msg.swipe_info || []).map(info => info?.extra).filter(Boolean)]) {
+        if (on) extra[flag] = true;
+        else delete extra[flag];
+    }
+}
+
+function isMessageExcluded(msg) {
+    return hasMessageFlag(msg, EXCLUDE_FLAG);
+}
+
+function isMessagePinned(msg) {
+    return hasMessageFlag(msg, PIN_FLAG);
+}
+
+/** Priority fields of a `message` payload */
+function turnPriority(userMsg, aiMsg) {
+    const pinnedRoles = [];
+    if (isMessagePinned(userMsg)) pinnedRoles.push('user');
+    if (isMessagePinned(aiMsg)) pinnedRoles.push('assistant');
+    return pinnedRoles.length > 0 ? { priority: 'pinned', pinnedRoles } : {};
+}
+
+function isPinnedPayload(payload) {
+    return payload?.priority === 'pinned' || (Array.isArray(payload?.messages) && payload.messages.some(m => m.pinned));
+}
+
+/** Blank the excluded side(s) of a turn, attachments and metadata included */
+function withoutExcludedMessages(userMessage, assistantMessage, meta) {
+    const turn = { userMessage, assistantMessage, meta: { ...meta } };
+    if (isMessageExcluded(meta.userMsg)) {
+        turn.userMessage = '';
+        Object.assign(turn.meta, { userMessageId: '', userMsg: null });
+    }
+    if (isMessageExcluded(meta.aiMsg)) {
+        turn.assistantMessage = '';
+        Object.assign(turn.meta, { assistantMessageId: '', aiMsg: null });
+    }
+    return turn;
+}
+
+/** The user message and reply a chat message belongs to */
+function findTurn(chat, index) {
+    const msg = chat[index];
+    if (msg?.is_user) {
+        const next = chat.slice(index + 1).find(m => m && !m.is_system);
+        return { userMsg: msg, aiMsg: next && !next.is_user ? next : null };
+    }
+    let userMsg = null;
+    for (let i = index - 1; i >= 0; i--) {
+        if (chat[i] && chat[i].is_user) {
+            userMsg = chat[i];
+            break;
+        }
+    }
+    return { userMsg, aiMsg: msg || null };
+}
+
+/** A queued payload with one message taken out; null if nothing is left */
+function withoutMessage(payload, messageId) {
+    if (!payload) return payload;
+    if (payload.type === 'message') {
+        if (payload.userMessageId !== messageId && payload.assistantMessageId !== messageId) return payload;
+        const stripped = { ...payload };
+        if (payload.userMessageId === messageId) Object.assign(stripped, { userMessage: '', userMessageId: '' });
+        if (payload.assistantMessageId === messageId) Object.assign(stripped, { assistantMessage: '', assistantMessageId: '' });
+        return stripped.userMessage || stripped.assistantMessage ? stripped : null;
+    }
+    if (payload.type === 'update' || payload.type === 'swipe') return payload.messageId === messageId ? null : payload;
+    if (Array.isArray(payload.messages) && payload.messages.some(m => m.id === messageId)) {
+        return { ...payload, messages: payload.messages.filter(m => m.id !== messageId) };
+    }
+    return payload;
+}
+
+/** Take an excluded message out of the buffer and dead letters; returns how many items changed */
+function purgeMessageFromQueue(messageId) {
+    let changed = 0;
+    const purge = items => items.flatMap(item => {
+        const payload = withoutMessage(item.payload, messageId);
+        if (payload === item.payload) return [item];
+        changed++;
+        return payload ? [{ ...item, payload }] : [];
+    });
+    const buffer = purge(getBuffer());
+    const deadLetters = purge(getDeadLetters());
+    if (changed > 0) {
+        saveBuffer(buffer);
+        saveDeadLetters(deadLetters);
+    }
+    return changed;
+}
+
+/** Send the turn of one message, regardless of the real-time switch and the ledger */
+async function sendMessageNow(index) {
+    const context = SillyTavern.getContext();
+    const chat = context.chat || [];
+    const msg = chat[index];
+    if (!msg || msg.is_system) return;
+    if (isMessageExcluded(msg)) {
+        toastr.warning(t('toast.message_excluded_first'), 'OpenClaw Sync', { timeOut: 2000 });
+        return;
+    }
+    if (!await ensureLeader()) {
+        toastr.error(t('toast.leader_unavailable'), 'OpenClaw Sync');
+        return;
+    }
+
+    const { userMsg, aiMsg } = findTurn(chat, index);
+    const result = await syncMessage(userMsg?.mes || '', aiMsg?.mes || '', context.chatId, {
+        userMessageId: userMsg ? getMessageId(userMsg) : '',
+        assistantMessageId: aiMsg ? getMessageId(aiMsg) : '',
+        swipeId: aiMsg?.swipe_id ?? 0,
+        speaker: aiMsg ? getSpeakerName(aiMsg) : undefined,
+        userMsg,
+        aiMsg,
+        force: true,
+    });
+    snapshotMessageIds(chat);
+    saveOpenChat(); // new IDs
+
+    const labels = {
+        sent: t('status.sent'), queued: t('status.queued'), excluded: t('status.message_excluded'), disabled: t('status.sync_disabled'), error: t('status.send_failed'),
+    };
+    if (result === 'sent' && getSettings().showNotifications) return; // syncMessage already said so
+    toastr.info(labels[result] || result, 'OpenClaw Sync', { timeOut: 2000 });
+}
+
+async function toggleMessagePin(index) {
+    const msg = SillyTavern.getContext().chat?.[index];
+    if (!msg || msg.is_system) return;
+    if (isMessageExcluded(msg)) {
+        toastr.warning(t('toast.message_excluded_first'), 'OpenClaw Sync', { timeOut: 2000 });
+        return;
+    }
+    const pinned = !isMessagePinned(msg);
+    setMessageFlag(msg, PIN_FLAG, pinned);
+    saveOpenChat();
+    renderMessageFlags();
+    // Send it with its priority now rather than at the next idle sync
+    if (pinned) await sendMessageNow(index);
+}
+
+async function toggleMessageExclude(index) {
+    const context = SillyTavern.getContext();
+    const msg = context.chat?.[index];
+    if (!msg || msg.is_system) return;
+    const excluded = !isMessageExcluded(msg);
+    setMessageFlag(msg, EXCLUDE_FLAG, excluded);
+    if (excluded) setMessageFlag(msg, PIN_FLAG, false);
+    saveOpenChat();
+    renderMessageFlags();
+    if (!excluded) {
+        toastr.info(t('toast.message_included'), 'OpenClaw Sync', { timeOut: 2000 });
+        return;
+    }
+
+    const messageId = peekMessageId(msg);
+    if (messageId) {
+        const purged = purgeMessageFromQueue(messageId);
+        if (purged > 0) log(`🙈 Removed ${messageId} from ${purged} queued payload(s)`);
+        // Whatever already reached the receiver is retracted
+        if (getSettings().enabled && await ensureLeader()) await syncRetract([messageId], context.chatId);
+    }
+    toastr.info(t('toast.message_excluded'), 'OpenClaw Sync', { timeOut: 2000 });
+}
+
+function messageButtonsHtml() {
+    return `
+        <div class="mes_button oc_mes_button oc_mes_send fa-solid fa-cloud-arrow-up" title="${t('mes.send')}"></div>
+        <div class="mes_button oc_mes_button oc_mes_pin fa-solid fa-thumbtack" title="${t('mes.pin')}"></div>
+        <div class="mes_button oc_mes_button oc_mes_exclude fa-solid fa-eye-slash" title="${t('mes.exclude')}"></div>`;
+}
+
+/** Add our buttons to the message template and to messages already on screen */
+function addMessageButtons() {
+    $('#message_template .extraMesButtons, #chat .mes .extraMesButtons').each(function () {
+        if ($(this).children('.oc_mes_button').length === 0) $(this).prepend(messageButtonsHtml());
+    });
+}
+
+function renderMessageFlags() {
+    const chat = SillyTavern.getContext().chat || [];
+    $('#chat .mes').each(function () {
+        const msg = chat[Number($(this).attr('mesid'))];
+        $(this).toggleClass('oc_pinned', isMessagePinned(msg)).toggleClass('oc_excluded', isMessageExcluded(msg));
+    });
+}
+
+function applyMessageButtonsSetting() {
+    $('body').toggleClass('oc_hide_message_buttons', !getSettings().messageButtons);
+}
+
+function startMessageControls() {
+    const ctx = SillyTavern.getContext();
+    const messageIndex = button => Number($(button).closest('.mes').attr('mesid'));
+    $(document)
+        .on('click', '.oc_mes_send', function () { sendMessageNow(messageIndex(this)); })
+        .on('click', '.oc_mes_pin', function () { toggleMessagePin(messageIndex(this)); })
+        .on('click', '.oc_mes_exclude', function () { toggleMessageExclude(messageIndex(this)); });
+
+    const refresh = () => {
+        addMessageButtons();
+        renderMessageFlags();
+    };
+    for (const type of ['CHARACTER_MESSAGE_RENDERED', 'USER_MESSAGE_RENDERED', 'CHAT_CHANGED', 'MORE_MESSAGES_LOADED', 'MESSAGE_SWIPED']) {
+        if (ctx.eventTypes[type] !== undefined) ctx.eventSource.on(ctx.eventTypes[type], refresh);
+    }
+    applyMessageButtonsSetting();
+    refresh();
+}
+
+// ─── Memory Recall ─────────────────────────────────────────────
+
+function isRecallEnabledFor(charName) {
+    const settings = getSettings();
+    if (!settings.enabled || !settings.memoryRecall) return false;
+    return !settings.recallDisabledCharacters.includes(charName);
+}
+
+function setRecallDisabledFor(settings, charName, disabled) {
+    const list = settings.recallDisabledCharacters.filter(n => n !== charName);
+    if (disabled) list.push(charName);
+    settings.recallDisabledCharacters = list;
+}
+
+/** Reflect the current character's recall switch in the settings panel */
+function updateRecallCharacterToggle() {
+    const charName = getCharacterName();
+    $('#oc_recall_charname').text(charName);
+    $('#oc_recall_char').prop('checked', !getSettings().recallDisabledCharacters.includes(charName));
+}
+
+function clearRecallPrompt() {
+    try {
+        const ctx = SillyTavern.getContext();
+        ctx.setExtensionPrompt(RECALL_PROMPT_KEY, '', PROMPT_POSITION_IN_CHAT, 0);
+    } catch (_) { }
+}
+
+/** Rough token count, used when ST's tokenizer isn't available */
+async function countTokens(text) {
+    try {
+        const ctx = SillyTavern.getContext();
+        if (typeof ctx.getTokenCountAsync === 'function') return await ctx.getTokenCountAsync(text);
+    } catch (_) { }
+    return Math.ceil(text.length / 3.5);
+}
+
+/**
+ * Ask the OpenClaw side for memories relevant to the current character
+ * and the last few turns. Returns an array of memory strings.
+ */
+async function fetchMemories(charName, chatId, chat) {
+    const settings = getSettings();
+    const recent = chat
+        .filter(m => m && !m.is_system && m.mes && !isMessageExcluded(m))
+        .slice(-settings.recallQueryTurns)
+        .map(m => ({ role: m.is_user ? 'user' : 'assistant', name: getSpeakerName(m), content: m.mes }));
+
+    const payload = {
+        type: 'recall',
+        character: charName,
+        speaker: SillyTavern.getContext().name2 || charName, // who is about to reply
+        chatId: chatId || '',
+        query: recent,
+        ...getAttribution(),
+        timestamp: new Date().toISOString(),
+    };
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), RECALL_TIMEOUT_MS);
+    try {
+        const res = await postPayload(payload, { signal: controller.signal });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const data = await res.json();
+        const entries = Array.isArray(data?.entries) ? data.entries : [];
+        return entries
+            .map(e => (typeof e === 'string' ? e : e?.text || ''))
+            .map(t => t.trim())
+            .filter(Boolean);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/** Join memories into a prompt block, dropping entries past the token budget */
+async function buildRecallPrompt(memories) {
+    const settings = getSettings();
+    const header = '[OpenClaw memory — things you remember from outside this chat]';
+    let block = header;
+    let used = await countTokens(block);
+    let included = 0;
+
+    for (const memory of memories) {
+        const line = `\n- ${memory}`;
+        const cost = await countTokens(line);
+        if (used + cost > settings.recallTokenBudget) break;
+        block += line;
+        used += cost;
+        included++;
+    }
+    return included > 0 ? { text: block, included, tokens: used } : null;
+}
+
+/**
+ * Generation interceptor (registered in manifest.json). Runs before each
+ * generation and refreshes the injected memory block.
+ */
+async function recallInterceptor(chat, _contextSize, _abort, type) {
+    if (type === 'quiet') return;
+
+    const charName = getCharacterName();
+    if (!isRecallEnabledFor(charName) || !isCurrentChatAllowed(SillyTavern.getContext().chatId) || !supportsType('recall', charName)) {
+        clearRecallPrompt();
+        return;
+    }
+
+    try {
+        const ctx = SillyTavern.getContext();
+        const memories = await fetchMemories(charName, ctx.chatId, chat || ctx.chat || []);
+        const prompt = await buildRecallPrompt(memories);
+        if (!prompt) {
+            clearRecallPrompt();
+            return;
+        }
+        ctx.setExtensionPrompt(RECALL_PROMPT_KEY, prompt.text, PROMPT_POSITION_IN_CHAT, getSettings().recallDepth, false, PROMPT_ROLE_SYSTEM);
+        log(`🧠 Injected ${prompt.included} memories (~${prompt.tokens} tokens) for ${charName}`);
+    } catch (err) {
+        // Stale memories are worse than none — clear and carry on
+        clearRecallPrompt();
+        log(`📭 Memory recall skipped: ${err.message}`);
+    }
+}
+
+globalThis.openClawSyncRecallInterceptor = recallInterceptor;
+
+// ─── Memory Lorebook ───────────────────────────────────────────
+// A `memory_pull` returns OpenClaw's memory as entries { id, character,
+// title, content, keywords }, which are written into one World Info book.
+// Each WI entry remembers its `openclaw_id`; per id we keep a digest of the
+// entry as last written, so on the next run an entry that is gone or differs
+// was deleted or edited in ST and goes back as a `memory_edit`.
+
+function loadLorebookState(bookName) {
+    try {
+        const state = JSON.parse(localStorage.getItem(LOREBOOK_STORAGE_KEY) || 'null');
+        // Another book is a fresh start; its entries aren't ours to report
+        if (state?.book === bookName) return state;
+    } catch (_) { }
+    return { book: bookName, digests: {}, lastSyncTime: null };
+}
+
+function saveLorebookState(state) {
+    try {
+        localStorage.setItem(LOREBOOK_STORAGE_KEY, JSON.stringify(state));
+    } catch (err) {
+        reportStoreError(err);
+    }
+}
+
+function lorebookDigest(entry) {
+    return sha256Hex(JSON.stringify([entry.comment || '', entry.content || '', entry.key || []]));
+}
+
+/** Our entries in a World Info book, by OpenClaw id */
+function indexLorebook(book) {
+    const byId = new Map();
+    for (const [uid, entry] of Object.entries(book.entries)) {
+        if (entry?.openclaw_id) byId.set(entry.openclaw_id, { uid, entry });
+    }
+    return byId;
+}
+
+/** Only fire for the character the memory is about (not for groups) */
+function characterFilterFor(charName) {
+    const char = (SillyTavern.getContext().characters || []).find(c => c.name === charName);
+    const filename = char?.avatar?.replace(/\.[^/.]+$/, '');
+    return filename ? { isExclude: false, names: [filename], tags: [] } : undefined;
+}
+
+function newLorebookEntry(book) {
+    const uid = Math.max(-1, ...Object.keys(book.entries).map(Number).filter(Number.isFinite)) + 1;
+    book.entries[uid] = {
+        uid,
+        key: [],
+        keysecondary: [],
+        comment: '',
+        content: '',
+        constant: false,
+        selective: true,
+        selectiveLogic: 0,
+        addMemo: true,
+        order: 100,
+        position: LOREBOOK_POSITION,
+        disable: false,
+        excludeRecursion: false,
+        preventRecursion: true, // memory shouldn't pull in more memory
+        probability: 100,
+        useProbability: true,
+        depth: 4,
+        group: '',
+        displayIndex: uid,
+    };
+    return book.entries[uid];
+}
+
+function applyRemoteEntry(entry, remote) {
+    const keywords = (Array.isArray(remote.keywords) ? remote.keywords : []).map(String).map(k => k.trim()).filter(Boolean);
+    entry.openclaw_id = remote.id;
+    entry.comment = remote.title || remote.id;
+    entry.content = remote.content || '';
+    entry.key = [...new Set(keywords.length > 0 ? keywords : [remote.character].filter(Boolean))];
+    const filter = characterFilterFor(remote.character);
+    if (filter) entry.characterFilter = filter;
+}
+
+/**
+ * Send ST-side edits and deletions of our entries. Resolves false if any
+ * had to be queued — pulling now would overwrite them with the old text.
+ */
+async function reportLorebookChanges(state, byId) {
+    let delivered = true;
+    for (const [id, digest] of Object.entries(state.digests)) {
+        const local = byId.get(id);
+        const current = local ? await lorebookDigest(local.entry) : null;
+        if (current === digest) continue;
+
+        const payload = {
+            type: 'memory_edit',
+            id,
+            action: local ? 'update' : 'delete',
+            ...getAttribution(),
+            timestamp: new Date().toISOString(),
+        };
+        if (local) {
+            Object.assign(payload, { title: local.entry.comment || '', content: local.entry.content || '', keywords: local.entry.key || [] });
+        }
+        const result = await syncChange(payload, true);
+        if (result !== 'sent' && result !== 'queued') return false;
+        if (result === 'queued') delivered = false;
+        log(`📤 Lorebook entry ${local ? 'edited' : 'deleted'} in ST: ${id}`);
+        if (local) state.digests[id] = current;
+        else delete state.digests[id];
+    }
+    return delivered;
+}
+
+/**
+ * Report ST-side changes, then pull the current entries into the book.
+ * Resolves to { created, updated, removed } or null if nothing was pulled.
+ */
+async function syncLorebook(reason) {
+    const settings = getSettings();
+    if (!settings.enabled || !settings.memoryLorebook || !isLeader || isSyncPaused() || lorebookInProgress) return null;
+    const ctx = SillyTavern.getContext();
+    if (typeof ctx.loadWorldInfo !== 'function' || typeof ctx.saveWorldInfo !== 'function') {
+        log('⚠️ This SillyTavern has no World Info API for extensions — lorebook sync skipped');
+        return null;
+    }
+    if (!supportsType('memory_pull')) {
+        log('⏭️ Receiver doesn\'t support memory_pull — lorebook sync skipped');
+        return null;
+    }
+
+    lorebookInProgress = true;
+    try {
+        const bookName = settings.lorebookName.trim() || defaultSettings.lorebookName;
+        const state = loadLorebookState(bookName);
+        const loaded = await ctx.loadWorldInfo(bookName);
+        const book = loaded?.entries ? loaded : { ...loaded, entries: {} };
+        const byId = indexLorebook(book);
+
+        const reported = await reportLorebookChanges(state, byId);
+        saveLorebookState(state);
+        if (!reported) {
+            log('📦 Lorebook changes queued — pulling once they are delivered');
+            return null;
+        }
+
+        const res = await postPayload({ type: 'memory_pull', ...getAttribution(), timestamp: new Date().toISOString() });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const data = await res.json();
+        const remotes = (Array.isArray(data?.entries) ? data.entries : []).filter(e => e?.id && typeof e.content === 'string');
+
+        const counts = { created: 0, updated: 0, removed: 0 };
+        const pulled = new Set();
+        for (const remote of remotes) {
+            pulled.add(remote.id);
+            const local = byId.get(remote.id);
+            const entry = local?.entry || newLorebookEntry(book);
+            const before = local ? await lorebookDigest(entry) : null;
+            applyRemoteEntry(entry, remote);
+            const after = await lorebookDigest(entry);
+            state.digests[remote.id] = after;
+            if (!local) counts.created++;
+            else if (after !== before) counts.updated++;
+        }
+        // Gone on the OpenClaw side (edits were reported above, so nothing is lost)
+        for (const [id, { uid }] of byId) {
+            if (pulled.has(id)) continue;
+            delete book.entries[uid];
+            delete state.digests[id];
+            counts.removed++;
+        }
+
+        if (counts.created + counts.updated + counts.removed > 0) {
+            await ctx.saveWorldInfo(bookName, book, true);
+            if (!loaded?.entries) await ctx.updateWorldInfoList?.();
+            ctx.reloadWorldInfoEditor?.(bookName, false);
+        }
+        state.lastSyncTime = new Date().toISOString();
+        saveLorebookState(state);
+        renderLorebookStatus();
+        log(`📚 Lorebook "${bookName}" (${reason}): +${counts.created} ~${counts.updated} -${counts.removed}`);
+        return counts;
+    } catch (err) {
+        log(`📭 Lorebook sync failed: ${err.message}`);
+        return null;
+    } finally {
+        lorebookInProgress = false;
+    }
+}
+
+function renderLorebookStatus() {
+    const settings = getSettings();
+    const state = loadLorebookState(settings.lorebookName.trim() || defaultSettings.lorebookName);
+    const count = Object.keys(state.digests).length;
+    $('#oc_lorebook_status').text(state.lastSyncTime
+        ? t('lorebook.status', { count, time: new Date(state.lastSyncTime).toLocaleString() })
+        : t('lorebook.never'));
+}
+
+// ─── Session Summaries ─────────────────────────────────────────
+// On idle timeout or chat switch, the turns since the last summary are
+// condensed with the user's own model and sent as a `summary` payload.
+// Per chat we remember the last summarized message and the previous summary
+// text, which is handed to the model so summaries build on each other.
+
+const DEFAULT_SUMMARY_PROMPT = `You are keeping long-term memory of a roleplay between {{user}} and {{char}}.
+{{previous}}
+New messages:
+{{transcript}}
+
+Summarize only the new messages, in this exact format:
+SUMMARY: <two to four sentences>
+KEY FACTS:
+- <a fact worth remembering>
+RELATIONSHIP CHANGES:
+- <how a relationship changed, or none>`;
+
+function loadSummaryStates() {
+    try {
+        const stored = localStorage.getItem(SUMMARY_STORAGE_KEY);
+        return stored ? JSON.parse(stored) : {};
+    } catch (_) { return {}; }
+}
+
+function saveSummaryState(chatId, state) {
+    const states = loadSummaryStates();
+    states[chatId] = { ...state, updatedAt: Date.now() };
+    const ids = Object.keys(states).sort((a, b) => states[b].updatedAt - states[a].updatedAt);
+    for (const id of ids.slice(MAX_TRACKED_CHATS)) delete states[id];
+    try {
+        localStorage.setItem(SUMMARY_STORAGE_KEY, JSON.stringify(states));
+    } catch (err) {
+        reportStoreError(err);
+    }
+}
+
+/**
+ * Where the unsummarized messages start. If the last summarized message was
+ * deleted, resume at its old position (less the gap it left) instead of
+ * summarizing the whole chat again.
+ */
+function summaryStart(messages, state) {
+    if (!state?.lastMessageId) return 0;
+    const index = messages.findIndex(m => peekMessageId(m) === state.lastMessageId);
+    if (index >= 0) return index + 1;
+    return Math.min(Math.max(0, (state.lastPosition || 0) - 1), messages.length);
+}
+
+/**
+ * Copy the open chat's unsummarized messages. ST empties the chat array in
+ * place when switching, so CHAT_CHANGED can only summarize from this copy.
+ */
+function captureSummaryTail() {
+    const context = SillyTavern.getContext();
+    const chatId = context.chatId || '';
+    if (!getSettings().sessionSummary || !chatId) {
+        summaryTail = null;
+        return null;
+    }
+    const messages = (context.chat || []).filter(m => m && !m.is_system && m.mes && !isMessageExcluded(m));
+    const start = summaryStart(messages, loadSummaryStates()[chatId]);
+    summaryTail = {
+        chatId,
+        start,
+        character: getCharacterName(),
+        user: context.name1 || 'User',
+        allowed: isCurrentChatAllowed(chatId),
+        attribution: getAttribution(),
+        messages: messages.slice(start).map(m => ({ id: getMessageId(m), name: getSpeakerName(m), content: m.mes })),
+    };
+    return summaryTail;
+}
+
+/**
+ * Run the prompt through ST's quiet generation. generateRaw rather than
+ * generateQuietPrompt: the transcript must be ours, since after a chat switch
+ * the open chat is already the next one.
+ */
+async function generateSummaryText(prompt) {
+    const ctx = SillyTavern.getContext();
+    if (typeof ctx.generateRaw !== 'function') throw new Error('generateRaw unavailable in this SillyTavern version');
+    // Newer ST takes an options object, older builds positional arguments
+    const text = ctx.generateRaw.length === 0
+        ? await ctx.generateRaw({ prompt, quietToLoud: false })
+        : await ctx.generateRaw(prompt, null, false, false);
+    return String(text || '').trim();
+}
+
+/** Split the model's answer into the sections the default prompt asks for */
+function parseSummary(text) {
+    const sections = { summary: [], keyFacts: [], relationshipChanges: [] };
+    const headers = { 'summary': 'summary', 'key facts': 'keyFacts', 'relationship changes': 'relationshipChanges' };
+    let current = 'summary';
+    for (const raw of text.split('\n')) {
+        const line = raw.trim();
+        if (!line) continue;
+        const header = line.match(/^[#*\s]*(summary|key facts|relationship changes)[*\s]*:?[*\s]*(.*)$/i);
+        if (header) {
+            current = headers[header[1].toLowerCase()];
+            if (header[2]) sections[current].push(header[2]);
+        } else {
+            sections[current].push(line);
+        }
+    }
+    const items = lines => lines.map(l => l.replace(/^[-*•]\s*/, '')).filter(l => l && !/^none\.?$/i.test(l));
+    return {
+        summary: sections.summary.join(' '),
+        keyFacts: items(sections.keyFacts),
+        relationshipChanges: items(sections.relationshipChanges),
+    };
+}
+
+/**
+ * Summarize one run of `tail` messages on top of the chat's previous summary
+ * and send it; the chat's cursor moves to the end of what was sent.
+ */
+async function summarizeMessages(reason, tail, messages, position) {
+    const settings = getSettings();
+    const previous = loadSummaryStates()[tail.chatId]?.summary || '';
+    const transcript = messages.map(m => `${m.name}: ${m.content}`).join('\n\n');
+    // Function replacers keep `$&` and friends literal; chat text goes in last so
+    // a message quoting {{char}} or {{previous}} is never expanded.
+    const prompt = (settings.summaryPrompt.trim() || DEFAULT_SUMMARY_PROMPT)
+        .replaceAll('{{char}}', () => tail.character)
+        .replaceAll('{{user}}', () => tail.user)
+        .replaceAll('{{previous}}', () => (previous ? `Summary so far:\n${previous}\n` : ''))
+        .replaceAll('{{transcript}}', () => transcript);
+
+    log(`🧾 Summarizing ${messages.length} messages of ${tail.chatId} (${reason})...`);
+    const text = await generateSummaryText(prompt);
+    if (!text) throw new Error('empty response');
+
+    const parsed = parseSummary(text);
+    const result = await syncChange({
+        type: 'summary',
+        character: tail.character,
+        chatId: tail.chatId,
+        reason,
+        incremental: !!previous,
+        fromMessageId: messages[0].id,
+        toMessageId: messages[messages.length - 1].id,
+        messageCount: messages.length,
+        ...parsed,
+        content: text,
+        ...tail.attribution,
+        timestamp: new Date().toISOString(),
+    }, tail.allowed);
+
+    if (result === 'sent' || result === 'queued') {
+        saveSummaryState(tail.chatId, {
+            lastMessageId: messages[messages.length - 1].id,
+            lastPosition: position,
+            summary: parsed.summary || text,
+        });
+    }
+    return result;
+}
+
+/**
+ * Summarize the turns since the last summary and send them, oldest first in
+ * runs of up to SUMMARY_MAX_MESSAGES. `tail` defaults to the open chat.
+ * Resolves to 'sent', 'queued', 'excluded', 'unsupported', 'disabled',
+ * 'too_few', 'busy' or 'error'.
+ */
+async function summarizeSession(reason, tail = captureSummaryTail()) {
+    const settings = getSettings();
+    if (!settings.enabled || !settings.sessionSummary || !tail) return 'disabled';
+    if (!tail.allowed) return 'excluded';
+    if (tail.messages.length < Math.max(1, settings.summaryMinMessages)) return 'too_few';
+    if (summaryInProgress) return 'busy';
+
+    summaryInProgress = true;
+    try {
+        let result;
+        while (tail.messages.length > 0) {
+            const messages = tail.messages.slice(0, SUMMARY_MAX_MESSAGES);
+            const position = tail.start + messages.length;
+            result = await summarizeMessages(reason, tail, messages, position);
+            // Stop where the cursor stopped; the rest waits for the next summary
+            if (result !== 'sent' && result !== 'queued') return result;
+            // A retry from this copy must not summarize these again
+            tail.messages = tail.messages.slice(messages.length);
+            tail.start = position;
+        }
+        if (tail === summaryTail) summaryTail = null;
+        return result;
+    } catch (err) {
+        log(`❌ Summary failed: ${err.message}`);
+        if (settings.showErrors) toastr.error(t('toast.summary_failed', { error: err.message }), 'OpenClaw');
+        return 'error';
+    } finally {
+        summaryInProgress = false;
+    }
+}
+
+// ─── Backfill ──────────────────────────────────────────────────
+// Uploads saved chats as `history` payloads. The job (queue + position) is
+// kept in localStorage so it survives reloads; the ledger skips parts that
+// were already sent, so rerunning the same selection is cheap.
+
+function loadBackfillJob() {
+    try {
+        const stored = localStorage.getItem(BACKFILL_STORAGE_KEY);
+        return stored ? JSON.parse(stored) : null;
+    } catch (_) { return null; }
+}
+
+function saveBackfillJob(job) {
+    try {
+        if (job) localStorage.setItem(BACKFILL_STORAGE_KEY, JSON.stringify(job));
+        else localStorage.removeItem(BACKFILL_STORAGE_KEY);
+    } catch (err) {
+        reportStoreError(err);
+    }
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/** POST to SillyTavern's own API */
+async function stRequest(url, body) {
+    const ctx = SillyTavern.getContext();
+    const res = await fetch(url, {
+        method: 'POST',
+        headers: ctx.getRequestHeaders(),
+        body: JSON.stringify(body),
+    });
+    if (!res.ok) throw new Error(`${url}: HTTP ${res.status}`);
+    return res.json();
+}
+
+/** Creation time from ST's "YYYY-M-D @HHh MMm SSs" chat names; 0 if absent */
+function chatCreatedAt(name) {
+    const m = (name || '').match(/(\d{4})-(\d{1,2})-(\d{1,2})\s*@\s*(\d{1,2})h\s*(\d{1,2})m\s*(\d{1,2})s/);
+    return m ? new Date(+m[1], m[2] - 1, +m[3], +m[4], +m[5], +m[6]).getTime() : 0;
+}
+
+async function listCharacterChats(char) {
+    const data = await stRequest('/api/characters/chats', { avatar_url: char.avatar });
+    if (!data || data.error) return [];
+    const list = Array.isArray(data) ? data : Object.values(data);
+    return list.map(chat => {
+        const chatId = String(chat.file_name || '').replace(/\.jsonl$/, '');
+        const lastMes = new Date(chat.last_mes).getTime() || 0;
+        return { kind: 'character', avatar: char.avatar, name: char.name, chatId, sortKey: chatCreatedAt(chatId) || lastMes };
+    });
+}
+
+function listGroupChats(group) {
+    return (group.chats || []).map(chatId => ({
+        kind: 'group', groupId: group.id, name: group.name, chatId, sortKey: chatCreatedAt(chatId),
+    }));
+}
+
+/**
+ * Queue every saved chat for the selection (['char:<avatar>', 'group:<id>'],
+ * or null for the whole library), oldest first.
+ */
+async function enumerateBackfillChats(selection) {
+    const ctx = SillyTavern.getContext();
+    const wanted = selection ? new Set(selection) : null;
+    const entries = [];
+    for (const char of ctx.characters || []) {
+        if (wanted && !wanted.has(`char:${char.avatar}`)) continue;
+        entries.push(...await listCharacterChats(char));
+    }
+    for (const group of ctx.groups || []) {
+        if (wanted && !wanted.has(`group:${group.id}`)) continue;
+        entries.push(...listGroupChats(group));
+    }
+    return entries.sort((a, b) => a.sortKey - b.sortKey);
+}
+
+async function loadSavedChat(entry) {
+    if (entry.kind === 'group') {
+        return await stRequest('/api/chats/group/get', { id: entry.chatId }) || [];
+    }
+    const data = await stRequest('/api/chats/get', { ch_name: entry.name, file_name: entry.chatId, avatar_url: entry.avatar }) || [];
+    // First line of a character chat file is its metadata header
+    return data.length && data[0] && data[0].mes === undefined ? data.slice(1) : data;
+}
+
+function backfillTarget(entry) {
+    const ctx = SillyTavern.getContext();
+    const key = entry.kind === 'group' ? entry.groupId : entry.avatar;
+    const tagIds = ctx.tagMap?.[key] || [];
+    const tags = (ctx.tags || []).filter(t => tagIds.includes(t.id)).map(t => t.name);
+    let members = [];
+    if (entry.kind === 'group') {
+        const group = (ctx.groups || []).find(g => g.id === entry.groupId);
+        members = (group?.members || []).map(avatar => (ctx.characters || []).find(c => c.avatar === avatar)?.name || avatar);
+    }
+    return { character: entry.name, chatId: entry.chatId, members, tags };
+}
+
+/**
+ * Upload one saved chat in parts. Returns 'ok', 'skipped' (excluded by
+ * rules) or 'offline' (the part was buffered and the job should pause).
+ */
+async function backfillChat(entry) {
+    const settings = getSettings();
+    const target = backfillTarget(entry);
+    if (!isSyncAllowed(target)) return 'skipped';
+
+    const messages = (await loadSavedChat(entry))
+        .map((msg, index) => ({ msg, index }))
+        .filter(({ msg }) => msg && !msg.is_system && !isMessageExcluded(msg))
+        .map(({ msg, index }) => ({
+            // Saved files only have our ID if the chat was synced live
+            id: peekMessageId(msg) || `idx:${index}:${msg.send_date || ''}`,
+            swipeId: msg.swipe_id ?? 0,
+            role: msg.is_user ? 'user' : 'assistant',
+            name: msg.name || (msg.is_user ? 'User' : entry.name),
+            content: msg.mes || '',
+            timestamp: msg.send_date || '',
+            ...(isMessagePinned(msg) ? { pinned: true } : {}),
+        }));
+    if (messages.length === 0) return 'ok';
+
+    const totalParts = Math.ceil(messages.length / BACKFILL_PART_SIZE);
+    for (let part = 0; part < totalParts; part++) {
+        const slice = messages.slice(part * BACKFILL_PART_SIZE, (part + 1) * BACKFILL_PART_SIZE);
+        const identity = `history#${part}`;
+        const digest = await sha256Hex(JSON.stringify(slice));
+        if (settings.dedup && getLedgerEntry(entry.chatId, identity)?.digest === digest) continue;
+        if (!isLeader) return 'demoted'; // the parts sent so far are in the ledger
+
+        const payload = {
+            type: 'history',
+            character: entry.name,
+            chatId: entry.chatId,
+            group: entry.kind === 'group' ? { id: entry.groupId, name: entry.name, members: target.members } : null,
+            part,
+            totalParts,
+            messageCount: messages.length,
+            messages: slice,
+            timestamp: new Date().toISOString(),
+        };
+        try {
+            const res = await postPayload(payload);
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            recordLedgerEntry(entry.chatId, identity, digest, payload.type);
+        } catch (err) {
+            log(`📦 Backfill paused at ${entry.chatId} part ${part + 1}/${totalParts}: ${err.message}`);
+            if (settings.offlineBuffer) {
+                addToBuffer(payload);
+                recordLedgerEntry(entry.chatId, identity, digest, payload.type);
+            }
+            return 'offline';
+        }
+        if (part < totalParts - 1) await sleep(settings.backfillDelayMs);
+    }
+    return 'ok';
+}
+
+async function startBackfill(selection) {
+    if (backfillRunning) return;
+    if (!await ensureLeader()) {
+        toastr.error(t('toast.leader_unavailable'), 'OpenClaw Sync');
+        return;
+    }
+    if (!supportsType('history')) {
+        toastr.error(t('toast.history_unsupported'), 'OpenClaw');
+        return;
+    }
+    renderBackfillProgress({ status: 'listing', next: 0, queue: [] });
+    const queue = await enumerateBackfillChats(selection);
+    saveBackfillJob({ status: 'running', next: 0, skipped: 0, failed: 0, error: '', queue, startedAt: new Date().toISOString() });
+    log(`🕰️ Backfill queued ${queue.length} chats`);
+    await runBackfill();
+}
+
+function pauseBackfill() {
+    const job = loadBackfillJob();
+    if (job && job.status === 'running') saveBackfillJob({ ...job, status: 'paused' });
+    renderBackfillProgress(loadBackfillJob());
+}
+
+async function resumeBackfill() {
+    const job = loadBackfillJob();
+    if (!job || job.status === 'done') return;
+    if (!await ensureLeader()) {
+        toastr.error(t('toast.leader_unavailable'), 'OpenClaw Sync');
+        return;
+    }
+    saveBackfillJob({ ...job, status: 'running', error: '' });
+    await runBackfill();
+}
+
+function cancelBackfill() {
+    saveBackfillJob(null);
+    renderBackfillProgress(null);
+}
+
+/** Only the leader uploads; a tab demoted mid-job pauses it for whoever resumes */
+async function runBackfill() {
+    if (backfillRunning || !isLeader) return;
+    backfillRunning = true;
+    try {
+        let job = loadBackfillJob();
+        while (job && job.status === 'running' && job.next < job.queue.length) {
+            const entry = job.queue[job.next];
+            renderBackfillProgress(job, entry);
+
+            let result;
+            try {
+                result = await backfillChat(entry);
+            } catch (err) {
+                // Couldn't read this chat from ST — note it and move on
+                log(`❌ Backfill error for ${entry.chatId}: ${err.message}`);
+                result = 'failed';
+            }
+
+            // Paused or cancelled from the UI while we were uploading
+            job = loadBackfillJob();
+            if (!job) return;
+            if (result === 'offline' || !isLeader) {
+                job = { ...job, status: 'paused', error: t(result === 'offline' ? 'bf.offline_paused' : 'bf.leader_paused') };
+                saveBackfillJob(job);
+                break;
+            }
+            job = {
+                ...job,
+                next: job.next + 1,
+                skipped: job.skipped + (result === 'skipped' ? 1 : 0),
+                failed: job.failed + (result === 'failed' ? 1 : 0),
+            };
+            saveBackfillJob(job);
+            if (job.status === 'running' && job.next < job.queue.length) await sleep(getSettings().backfillDelayMs);
+            job = loadBackfillJob();
+        }
+
+        if (job && job.status === 'running' && job.next >= job.queue.length) {
+            saveBackfillJob({ ...job, status: 'done' });
+            log(`✅ Backfill finished: ${job.queue.length} chats (${job.skipped} skipped, ${job.failed} failed)`);
+            toastr.success(t('toast.backfill_done', { count: job.queue.length }), 'OpenClaw Sync', { timeOut: 4000 });
+        }
+    } finally {
+        backfillRunning = false;
+        renderBackfillProgress(loadBackfillJob());
+    }
+}
+
+// ─── Slash Commands ────────────────────────────────────────────
+
+/** Send a free-form memory note for the current character */
+async function sendMemoryNote(text) {
+    const context = SillyTavern.getContext();
+    return syncChange({
+        ...changeBase('note', context.chatId),
+        content: text,
+    });
+}
+
+/** Add a rule excluding the current chat (or character) from sync */
+function excludeCurrent(kind) {
+    const context = SillyTavern.getContext();
+    const rule = kind === 'char' ? `char:${getCharacterName()}` : `chat:${context.chatId || ''}`;
+    updateSettings(s => {
+        const lines = (s.syncExcludeRules || '').split('\n').map(l => l.trim()).filter(Boolean);
+        if (!lines.includes(rule)) lines.push(rule);
+        s.syncExcludeRules = lines.join('\n');
+    });
+    $('#oc_exclude').val(getSettings().syncExcludeRules);
+    return rule;
+}
+
+function getSyncStatus() {
+    const settings = getSettings();
+    const context = SillyTavern.getContext();
+    const lastGood = settings.endpoints.find(e => e.id === settings.lastGoodEndpointId);
+    return {
+        enabled: settings.enabled,
+        paused: isSyncPaused(),
+        pausedUntil: isSyncPaused() && settings.pausedUntil !== PAUSED_INDEFINITELY ? new Date(settings.pausedUntil).toISOString() : null,
+        connectivity,
+        leader: isLeader,
+        deviceId: getDeviceId(),
+        queued: getBuffer().length,
+        deadLetters: getDeadLetters().length,
+        lastSyncTime: settings.lastSyncTime,
+        endpoint: lastGood ? lastGood.name : null,
+        schemaVersion: SYNC_SCHEMA_VERSION,
+        receiver: lastGood ? getEndpointCapabilities(lastGood) || null : null,
+        chatExcluded: !isCurrentChatAllowed(context.chatId),
+    };
+}
+
+const SLASH_HELP = `
+<div>Control OpenClaw Memory Sync. Returns a value usable in STscript pipes.</div>
+<ul>
+    <li><code>/ocsync now</code> — sync the current conversation; returns synced, unchanged, excluded, empty, paused, disabled or error</li>
+    <li><code>/ocsync flush</code> — upload the offline buffer; returns the number still queued</li>
+    <li><code>/ocsync status</code> — returns a JSON status object</li>
+    <li><code>/ocsync pause [minutes]</code> — pause syncing (new messages are queued); no minutes = until resumed</li>
+    <li><code>/ocsync resume</code> — resume syncing and flush the queue</li>
+    <li><code>/ocsync exclude [chat|char]</code> — never sync this chat (default) or character; returns the rule added</li>
+    <li><code>/ocsync note &lt;text&gt;</code> — send a memory note for the current character; returns sent, queued, excluded or unsupported</li>
+    <li><code>/ocsync lorebook</code> — pull OpenClaw memory into the lorebook and report ST-side edits; returns a JSON count of created, updated and removed entries, or skipped</li>
+</ul>`;
+
+async function handleSlashCommand(input) {
+    const [command = 'status', ...rest] = String(input || '').trim().split(/\s+/);
+    const arg = rest.join(' ').trim();
+
+    switch (command.toLowerCase()) {
+        case 'now':
+            return await ensureLeader() ? await syncFullConversation() : 'error';
+        case 'flush':
+            await flushBuffer(true);
+            return String(getBuffer().length);
+        case 'status':
+            return JSON.stringify(getSyncStatus());
+        case 'pause': {
+            const minutes = parseFloat(arg) || 0;
+            const until = pauseSync(minutes);
+            toastr.info(minutes > 0 ? t('toast.paused_for', { minutes }) : t('toast.paused'), 'OpenClaw Sync', { timeOut: 2000 });
+            return until === PAUSED_INDEFINITELY ? 'paused' : new Date(until).toISOString();
+        }
+        case 'resume':
+            resumeSync();
+            await flushBuffer(true);
+            return 'resumed';
+        case 'exclude': {
+            const rule = excludeCurrent(arg === 'char' ? 'char' : 'chat');
+            toastr.info(t('toast.excluded_rule', { rule }), 'OpenClaw Sync', { timeOut: 2000 });
+            return rule;
+        }
+        case 'note':
+            if (!arg) throw new Error('Usage: /ocsync note <text>');
+            return await sendMemoryNote(arg);
+        case 'lorebook': {
+            const counts = await ensureLeader() ? await syncLorebook('slash') : null;
+            return counts ? JSON.stringify(counts) : 'skipped';
+        }
+        default:
+            throw new Error(`Unknown /ocsync command: ${command}`);
+    }
+}
+
+function registerSlashCommands() {
+    const ctx = SillyTavern.getContext();
+    const callback = async (_args, value) => {
+        try {
+            return await handleSlashCommand(value);
+        } catch (err) {
+            toastr.error(err.message, 'OpenClaw Sync');
+            return '';
+        }
+    };
+
+    if (ctx.SlashCommandParser && ctx.SlashCommand) {
+        ctx.SlashCommandParser.addCommandObject(ctx.SlashCommand.fromProps({
+            name: 'ocsync',
+            callback,
+            returns: 'result of the subcommand',
+            unnamedArgumentList: [
+                ctx.SlashCommandArgument.fromProps({
+                    description: 'subcommand and its argument',
+                    typeList: [ctx.ARGUMENT_TYPE.STRING],
+                    isRequired: false,
+                    enumList: ['now', 'flush', 'status', 'pause', 'resume', 'exclude', 'note', 'lorebook'],
+                    forceEnum: false,
+                }),
+            ],
+            helpString: SLASH_HELP,
+        }));
+    } else if (typeof ctx.registerSlashCommand === 'function') {
+        // Older ST without the command object API
+        ctx.registerSlashCommand('ocsync', callback, [], SLASH_HELP, true, true);
+    } else {
+        return;
+    }
+    log('✅ Registered /ocsync');
+}
+
+// ─── Idle Timer ────────────────────────────────────────────────
+
+function resetIdleTimer() {
+    const settings = getSettings();
+    if (!settings.fullConversationSync || !isLeader) return;
+
+    if (idleTimer) clearTimeout(idleTimer);
+
+    idleTimer = setTimeout(async () => {
+        log('⏰ Idle timeout — syncing full conversation');
+        await syncFullConversation();
+        await summarizeSession('idle');
+        await syncLorebook('idle');
+    }, settings.idleTimeoutMinutes * 60 * 1000);
+}
+
+// ─── Event Hooks ───────────────────────────────────────────────
+
+function setupEventListeners() {
+    const ctx = SillyTavern.getContext();
+    const eventTypes = ctx.eventTypes;
+
+    // Hook MESSAGE_RECEIVED (AI reply)
+    if (eventTypes.MESSAGE_RECEIVED !== undefined) {
+        ctx.eventSource.on(eventTypes.MESSAGE_RECEIVED, async (messageIndex) => {
+            const settings = getSettings();
+            if (!settings.enabled || !await ensureLeader()) return;
+
+            try {
+                const context = SillyTavern.getContext();
+                const chat = context.chat;
+                if (!chat || chat.length < 2) return;
+
+                const aiMsg = chat[messageIndex];
+                if (!aiMsg || aiMsg.is_user) return;
+
+                // Find preceding user message
+                const { userMsg } = findTurn(chat, messageIndex);
+
+                const userText = userMsg ? userMsg.mes : '';
+                const aiText = aiMsg.mes || '';
+                const chatId = context.chatId || '';
+
+                if (settings.realtimeSync && peekMessageId(aiMsg)) {
+                    // Already known to the server — this is a freshly generated swipe
+                    getMessageId(aiMsg);
+                    await syncMessageSwipe(aiMsg, chatId);
+                } else if (settings.realtimeSync) {
+                    // Real-time sync
+                    await syncMessage(userText, aiText, chatId, {
+                        userMessageId: userMsg ? getMessageId(userMsg) : '',
+                        assistantMessageId: getMessageId(aiMsg),
+                        swipeId: aiMsg.swipe_id ?? 0,
+                        speaker: getSpeakerName(aiMsg),
+                        userMsg,
+                        aiMsg,
+                    });
+                }
+                snapshotMessageIds(chat);
+                captureSummaryTail();
+
+                // Reset idle timer for full conversation sync
+                resetIdleTimer();
+            } catch (err) {
+                log(`❌ Event error: ${err.message}`);
+            }
+        });
+        log('✅ Hooked MESSAGE_RECEIVED');
+    }
+
+    // Hook MESSAGE_EDITED
+    if (eventTypes.MESSAGE_EDITED !== undefined) {
+        ctx.eventSource.on(eventTypes.MESSAGE_EDITED, async (messageIndex) => {
+            if (!getSettings().enabled || !await ensureLeader()) return;
+            try {
+                const context = SillyTavern.getContext();
+                await syncMessageEdit(context.chat[messageIndex], context.chatId);
+            } catch (err) {
+                log(`❌ Edit event error: ${err.message}`);
+            }
+        });
+        log('✅ Hooked MESSAGE_EDITED');
+    }
+
+    // Hook MESSAGE_SWIPED (switching to an existing swipe; new ones arrive via MESSAGE_RECEIVED)
+    if (eventTypes.MESSAGE_SWIPED !== undefined) {
+        ctx.eventSource.on(eventTypes.MESSAGE_SWIPED, async (messageIndex) => {
+            if (!getSettings().enabled || !await ensureLeader()) return;
+            try {
+                const context = SillyTavern.getContext();
+                const msg = context.chat[messageIndex];
+                if (!msg || !Array.isArray(msg.swipes)) return;
+                if ((msg.swipe_id ?? 0) >= msg.swipes.length) return; // generation pending
+                await syncMessageSwipe(msg, context.chatId);
+            } catch (err) {
+                log(`❌ Swipe event error: ${err.message}`);
+            }
+        });
+        log('✅ Hooked MESSAGE_SWIPED');
+    }
+
+    // Hook MESSAGE_DELETED (also fired for the old reply on regenerate)
+    if (eventTypes.MESSAGE_DELETED !== undefined) {
+        ctx.eventSource.on(eventTypes.MESSAGE_DELETED, async () => {
+            const context = SillyTavern.getContext();
+            const present = new Set((context.chat || []).map(peekMessageId).filter(Boolean));
+            const removed = knownMessageIds.filter(id => !present.has(id));
+            snapshotMessageIds(context.chat);
+            if (!getSettings().enabled || !await ensureLeader()) return;
+            try {
+                await syncRetract(removed, context.chatId);
+            } catch (err) {
+                log(`❌ Delete event error: ${err.message}`);
+            }
+        });
+        log('✅ Hooked MESSAGE_DELETED');
+    }
+
+    // Hook MESSAGE_SWIPE_DELETED (a single swipe removed; newer ST only)
+    if (eventTypes.MESSAGE_SWIPE_DELETED !== undefined) {
+        ctx.eventSource.on(eventTypes.MESSAGE_SWIPE_DELETED, async ({ messageId, swipeId }) => {
+            if (!getSettings().enabled || !await ensureLeader()) return;
+            try {
+                const context = SillyTavern.getContext();
+                const msg = context.chat[messageId];
+                const id = peekMessageId(msg);
+                if (!id) return;
+                await syncRetract([id], context.chatId, swipeId);
+                await syncMessageSwipe(msg, context.chatId);
+            } catch (err) {
+                log(`❌ Swipe delete event error: ${err.message}`);
+            }
+        });
+        log('✅ Hooked MESSAGE_SWIPE_DELETED');
+    }
+
+    // Hook CHAT_CHANGED (user switches character/chat)
+    if (eventTypes.CHAT_CHANGED !== undefined) {
+        ctx.eventSource.on(eventTypes.CHAT_CHANGED, async () => {
+            // The previous chat's unsummarized turns, copied before ST replaced them
+            const previousTail = summaryTail;
+            // Switching chats is the user working in this tab
+            const leading = await ensureLeader();
+            // Sync full conversation of previous chat before switching
+            if (lastSyncedChatId && leading) {
+                log('🔄 Chat changed — syncing previous conversation');
+                await syncFullConversation();
+            }
+            lastSyncedChatId = SillyTavern.getContext().chatId;
+            captureSummaryTail();
+            if (leading && previousTail && previousTail.chatId !== lastSyncedChatId) summarizeSession('chat_change', previousTail);
+            snapshotMessageIds(SillyTavern.getContext().chat);
+            resetIdleTimer();
+            clearRecallPrompt();
+            updateRecallCharacterToggle();
+            updateRouteSelect();
+        });
+        log('✅ Hooked CHAT_CHANGED');
+    }
+}
+
+// ─── Settings UI ───────────────────────────────────────────────
+
+function describeReceiver(capabilities) {
+    if (!capabilities) return t('receiver.none');
+    if (capabilities.adapter) return t('receiver.one_way', { server: capabilities.server });
+    if (capabilities.legacy) return t('receiver.legacy');
+    const name = [capabilities.server || t('receiver.generic'), capabilities.version].filter(Boolean).join(' ');
+    return t('receiver.protocol', { name, versions: capabilities.schemaVersions.join('/v') || '?' });
+}
+
+function renderEndpointHealth(id) {
+    const health = loadEndpointHealth()[id];
+    const endpoint = getSettings().endpoints.find(e => e.id === id);
+    const capabilities = endpoint ? getEndpointCapabilities(endpoint) : null;
+    const el = $(`#oc_endpoints .openclaw-sync-endpoint[data-id="${id}"] .oc_ep_health`);
+    if (!health) {
+        el.text('⚪').attr('title', t('health.untested'));
+        return;
+    }
+    const detail = health.ok ? `${health.status} · ${health.latencyMs} ms` : (health.error || `HTTP ${health.status}`);
+    const { problems } = capabilities ? describeCapabilityMismatch(capabilities) : { problems: [] };
+    const icon = !health.ok ? '🔴' : problems.length ? '⚠️' : '🟢';
+    el.text(icon).attr('title', [detail, describeReceiver(capabilities), ...problems, health.checkedAt].join('\n'));
+}
+
+/** Handshake with one endpoint and tell the user what it supports */
+async function reportHandshake(endpoint) {
+    const result = await checkCapabilities(endpoint);
+    const { capabilities, problems, notes } = result;
+    const title = `OpenClaw · ${endpoint.name}`;
+    if (problems.length > 0) {
+        toastr.error(problems.join(' · '), title, { timeOut: 10000 });
+    } else {
+        toastr.success(describeReceiver(capabilities), title);
+    }
+    if (notes.length > 0) toastr.info(notes.join(' · '), title, { timeOut: 6000 });
+    return result;
+}
+
+function renderEndpointList() {
+    const container = $('#oc_endpoints').empty();
+    for (const endpoint of getSettings().endpoints) {
+        const row = $(`
+            <div class="openclaw-sync-row openclaw-sync-endpoint">
+                <input class="oc_ep_enabled" type="checkbox" title="${t('ep.enabled')}" />
+                <input class="oc_ep_name text_pole" type="text" placeholder="${t('ep.name')}" />
+                <input class="oc_ep_url text_pole" type="text" placeholder="http://IP:4000/st-sync" />
+                <select class="oc_ep_adapter text_pole" title="${t('ep.adapter')}"></select>
+                <span class="oc_ep_health">⚪</span>
+                <button class="oc_ep_format menu_button" title="${t('ep.format')}">📝</button>
+                <button class="oc_ep_test menu_button" title="${t('ep.test')}">🧪</button>
+                <button class="oc_ep_up menu_button" title="${t('ep.up')}">↑</button>
+                <button class="oc_ep_down menu_button" title="${t('ep.down')}">↓</button>
+                <button class="oc_ep_remove menu_button" title="${t('ep.remove')}">✕</button>
+            </div>`);
+        row.attr('data-id', endpoint.id);
+        row.find('.oc_ep_enabled').prop('checked', endpoint.enabled);
+        row.find('.oc_ep_name').val(endpoint.name);
+        row.find('.oc_ep_url').val(endpoint.url);
+        const select = row.find('.oc_ep_adapter');
+        for (const [id, adapter] of Object.entries(OUTPUT_ADAPTERS)) {
+            select.append($('<option>').val(id).text(adapter.label));
+        }
+        select.val(getAdapterId(endpoint));
+        const panel = $(`
+            <div class="openclaw-sync-endpoint-format" style="display:none">
+                <div class="openclaw-sync-row">
+                    <label>${t('ep.template')}</label>
+                    <textarea class="oc_ep_template text_pole" rows="5"></textarea>
+                </div>
+                <div class="openclaw-sync-row">
+                    <label>${t('ep.preview')}</label>
+                    <select class="oc_ep_preview_kind text_pole">
+                        <option value="message">${t('ep.preview_message')}</option>
+                        <option value="full_conversation">${t('ep.preview_full')}</option>
+                    </select>
+                    <button class="oc_ep_template_reset menu_button">${t('ep.template_reset')}</button>
+                </div>
+                <pre class="oc_ep_preview openclaw-sync-preview"></pre>
+            </div>`);
+        panel.attr('data-id', endpoint.id);
+        container.append(row, panel);
+        renderEndpointFormat(endpoint.id);
+        renderEndpointHealth(endpoint.id);
+    }
+}
+
+const endpointPreviews = new Map(); // endpoint id → preview payload, rebuilt when the kind changes
+
+/** Show the template field for the endpoint's adapter and refresh its preview */
+async function renderEndpointFormat(id, rebuild = false) {
+    const endpoint = getSettings().endpoints.find(e => e.id === id);
+    const panel = $(`#oc_endpoints .openclaw-sync-endpoint-format[data-id="${id}"]`);
+    if (!endpoint || panel.length === 0) return;
+    const adapterId = getAdapterId(endpoint);
+    const templateRow = panel.find('.oc_ep_template').closest('.openclaw-sync-row');
+    templateRow.toggle(adapterId !== 'openclaw');
+    panel.find('.oc_ep_template_reset').toggle(adapterId !== 'openclaw');
+    const textarea = panel.find('.oc_ep_template');
+    if (!textarea.is(':focus')) textarea.val(getEndpointTemplate(endpoint));
+    if (!panel.is(':visible')) return;
+
+    if (rebuild || !endpointPreviews.has(id)) {
+        endpointPreviews.set(id, await buildPreviewPayload(panel.find('.oc_ep_preview_kind').val()));
+    }
+    panel.find('.oc_ep_preview').text(renderEndpointPreview(endpoint, endpointPreviews.get(id)));
+}
+
+/**
+ * What the next sync would send from the open chat, after rules and
+ * redaction: the latest turn (`kind` 'message') or the whole conversation.
+ * Returns { payload } or { notice } when there is nothing to show.
+ */
+async function buildPreviewPayload(kind = 'message') {
+    const context = SillyTavern.getContext();
+    const chat = context.chat || [];
+    const chatId = context.chatId || '';
+    if (!isCurrentChatAllowed(chatId)) return { notice: t('preview.chat_excluded') };
+
+    if (kind === 'full_conversation') {
+        const messages = chat
+            .filter(msg => msg && !msg.is_system && !isMessageExcluded(msg))
+            .map(msg => toConversationMessage(msg, peekMessageId(msg)));
+        if (messages.length === 0) return { notice: t('preview.no_messages') };
+        return {
+            payload: redactPayload(withSchemaVersion({
+                type: 'full_conversation',
+                character: getCharacterName(),
+                chatId,
+                cursor: messages[messages.length - 1].id,
+                messageCount: messages.length,
+                messages,
+                ...getAttribution(),
+                timestamp: new Date().toISOString(),
+            })),
+        };
     }
-}
 
-// ─── Idle Timer ────────────────────────────────────────────────
+    let aiIndex = chat.length - 1;
+    while (aiIndex >= 0 && (!chat[aiIndex] || chat[aiIndex].is_user || chat[aiIndex].is_system)) aiIndex--;
+    if (aiIndex < 0) return { notice: t('preview.no_reply') };
+    let userMsg = null;
+    for (let i = aiIndex - 1; i >= 0; i--) {
+        if (chat[i] && chat[i].is_user) { userMsg = chat[i]; break; }
+    }
 
-function resetIdleTimer() {
-    const settings = getSettings();
-    if (!settings.fullConversationSync) return;
+    const aiMsg = chat[aiIndex];
+    const turn = withoutExcludedMessages(userMsg ? userMsg.mes : '', aiMsg.mes, {
+        userMessageId: peekMessageId(userMsg),
+        assistantMessageId: peekMessageId(aiMsg),
+        swipeId: aiMsg.swipe_id ?? 0,
+        speaker: getSpeakerName(aiMsg),
+        userMsg,
+        aiMsg,
+    });
+    if (!turn.userMessage && !turn.assistantMessage) return { notice: t('preview.turn_excluded') };
+    const payload = await buildMessagePayload(turn.userMessage, turn.assistantMessage, chatId, turn.meta);
+    return { payload: redactPayload(withSchemaVersion(payload)) };
+}
 
-    if (idleTimer) clearTimeout(idleTimer);
+// Inline attachments are shortened so previews stay readable
+function shortenInlineData(key, value) {
+    return key === 'data' && typeof value === 'string' && value.length > 64
+        ? `${value.slice(0, 64)}… (${value.length} chars)`
+        : value;
+}
 
-    idleTimer = setTimeout(() => {
-        log('⏰ Idle timeout — syncing full conversation');
-        syncFullConversation();
-    }, settings.idleTimeoutMinutes * 60 * 1000);
+/** The privacy preview: the latest turn as the native adapter sends it */
+async function buildSyncPreview() {
+    const { payload, notice } = await buildPreviewPayload('message');
+    if (!payload) return notice;
+    const { errors } = parseRedactRules(getSettings().redactRules);
+    const warnings = errors.map(e => `${t('preview.invalid_rule', { rule: e })}\n`).join('');
+    return warnings + JSON.stringify(payload, shortenInlineData, 2);
 }
 
-// ─── Event Hooks ───────────────────────────────────────────────
+/** A preview payload rendered by one endpoint's adapter and template */
+function renderEndpointPreview(endpoint, preview) {
+    if (!preview.payload) return preview.notice;
+    const adapterId = getAdapterId(endpoint);
+    if (adapterId === 'openclaw') return JSON.stringify(preview.payload, shortenInlineData, 2);
+    if (!OUTPUT_ADAPTERS[adapterId].types.includes(preview.payload.type)) {
+        return `(${t('adapter.skips_type', { adapter: OUTPUT_ADAPTERS[adapterId].label, type: preview.payload.type })})`;
+    }
+    try {
+        const body = formatPayload(preview.payload, endpoint);
+        if (body === null) return t('preview.nothing');
+        // Pretty-print JSON bodies; JSONL stays one example per line
+        return adapterId === 'webhook' ? JSON.stringify(JSON.parse(body), shortenInlineData, 2) : body;
+    } catch (err) {
+        return `⚠️ ${err.message}`;
+    }
+}
 
-function setupEventListeners() {
-    const ctx = SillyTavern.getContext();
-    const eventTypes = ctx.eventTypes;
+async function renderStorageUsage() {
+    const usage = await getStorageUsage();
+    const space = usage.used !== null && usage.quota ? ` · ${t('storage.used', { used: formatBytes(usage.used), quota: formatBytes(usage.quota) })}` : '';
+    const locked = usage.locked > 0 ? ` · ${t('storage.locked', { count: usage.locked })}` : '';
+    $('#oc_storage_usage').text(`${t('storage.summary', { backend: usage.backend, buffer: usage.buffer, dead: usage.deadLetters, ledger: usage.ledger })}${locked}${space}`);
+}
 
-    // Hook MESSAGE_RECEIVED (AI reply)
-    if (eventTypes.MESSAGE_RECEIVED !== undefined) {
-        ctx.eventSource.on(eventTypes.MESSAGE_RECEIVED, async (messageIndex) => {
-            const settings = getSettings();
-            if (!settings.enabled) return;
+function renderLedgerList() {
+    const container = $('#oc_ledger').empty();
+    const currentChatId = SillyTavern.getContext().chatId;
+    const chats = summarizeLedger();
+    if (chats.length === 0) {
+        container.append($('<div class="openclaw-sync-row">').append($('<small>').text(t('list.empty'))));
+        return;
+    }
+    for (const chat of chats) {
+        const row = $(`
+            <div class="openclaw-sync-row openclaw-sync-ledger">
+                <small class="oc_ledger_name"></small>
+                <button class="oc_ledger_view menu_button" title="${t('ledger.view')}">👁</button>
+                <button class="oc_ledger_clear menu_button" title="${t('ledger.clear')}">🗑</button>
+            </div>`);
+        row.attr('data-chat', chat.chatId);
+        const label = `${chat.chatId === currentChatId ? '▶ ' : ''}${t('ledger.row', { chat: chat.chatId || t('ledger.no_id'), count: chat.count })}`;
+        row.find('.oc_ledger_name').text(label).attr('title', chat.lastSyncedAt);
+        container.append(row);
+    }
+}
 
-            try {
-                const context = SillyTavern.getContext();
-                const chat = context.chat;
-                if (!chat || chat.length < 2) return;
+const ACTIVITY_ROWS_SHOWN = 50;
 
-                const aiMsg = chat[messageIndex];
-                if (!aiMsg || aiMsg.is_user) return;
+function renderActivityLog() {
+    const entries = loadActivity();
+    const typeFilter = $('#oc_act_type').val() || '';
+    const resultFilter = $('#oc_act_result').val() || '';
+    const search = ($('#oc_act_search').val() || '').toLowerCase();
 
-                // Find preceding user message
-                let userMsg = null;
-                for (let i = messageIndex - 1; i >= 0; i--) {
-                    if (chat[i] && chat[i].is_user) {
-                        userMsg = chat[i];
-                        break;
-                    }
-                }
+    // Keep the type filter in step with what's actually in the log
+    const typeSelect = $('#oc_act_type');
+    const types = [...new Set(entries.map(e => e.type))].sort();
+    typeSelect.find('option:not(:first)').remove();
+    for (const type of types) typeSelect.append($('<option>').val(type).text(type));
+    typeSelect.val(types.includes(typeFilter) ? typeFilter : '');
 
-                const userText = userMsg ? userMsg.mes : '';
-                const aiText = aiMsg.mes || '';
-                const chatId = context.chatId || '';
+    const matching = entries.filter(e =>
+        (!typeFilter || e.type === typeFilter)
+        && (!resultFilter || (resultFilter === 'ok') === e.ok)
+        && (!search || [e.chatId, e.character, e.error, e.endpoint].some(v => (v || '').toLowerCase().includes(search))),
+    );
 
-                // Real-time sync
-                await syncMessage(userText, aiText, chatId);
+    const container = $('#oc_activity').empty();
+    if (matching.length === 0) {
+        container.append($('<small>').text(t('list.empty')));
+        return;
+    }
+    for (const entry of matching.slice(-ACTIVITY_ROWS_SHOWN).reverse()) {
+        const row = $(`
+            <div class="openclaw-sync-activity-entry">
+                <div class="oc_act_summary"></div>
+                <div class="oc_act_detail"></div>
+                <div class="oc_act_actions">
+                    <button class="oc_act_resend menu_button" title="${t('act.resend')}">↻</button>
+                    <button class="oc_act_copy menu_button" title="${t('act.copy')}">📋</button>
+                </div>
+            </div>`);
+        row.attr('data-id', entry.id).toggleClass('failed', !entry.ok);
+        const time = new Date(entry.time).toLocaleString();
+        row.find('.oc_act_summary').text(`${entry.ok ? '✅' : '❌'} ${time} · ${entry.type} · ${entry.status || '—'} · ${entry.latencyMs} ms · ${formatBytes(entry.size)}`);
+        const detail = [entry.character, entry.chatId, entry.endpoint, entry.error].filter(Boolean).join(' · ');
+        row.find('.oc_act_detail').text(detail);
+        if (!entry.payload) row.find('.oc_act_resend, .oc_act_copy').prop('disabled', true).attr('title', t('act.too_large'));
+        container.append(row);
+    }
+}
 
-                // Reset idle timer for full conversation sync
-                resetIdleTimer();
-            } catch (err) {
-                log(`❌ Event error: ${err.message}`);
-            }
-        });
-        log('✅ Hooked MESSAGE_RECEIVED');
+/** Characters and groups to pick from, keeping the current selection */
+function renderBackfillChoices() {
+    const ctx = SillyTavern.getContext();
+    const select = $('#oc_bf_chars');
+    const selected = new Set(select.val() || []);
+    select.empty();
+    const chars = [...(ctx.characters || [])].sort((a, b) => a.name.localeCompare(b.name));
+    for (const char of chars) {
+        const value = `char:${char.avatar}`;
+        select.append($('<option>').val(value).text(char.name).prop('selected', selected.has(value)));
     }
+    for (const group of ctx.groups || []) {
+        const value = `group:${group.id}`;
+        select.append($('<option>').val(value).text(`👥 ${group.name}`).prop('selected', selected.has(value)));
+    }
+}
 
-    // Hook CHAT_CHANGED (user switches character/chat)
-    if (eventTypes.CHAT_CHANGED !== undefined) {
-        ctx.eventSource.on(eventTypes.CHAT_CHANGED, async () => {
-            // Sync full conversation of previous chat before switching
-            if (lastSyncedChatId) {
-                log('🔄 Chat changed — syncing previous conversation');
-                await syncFullConversation();
-            }
-            lastSyncedChatId = SillyTavern.getContext().chatId;
-            resetIdleTimer();
-        });
-        log('✅ Hooked CHAT_CHANGED');
+function renderBackfillProgress(job, current) {
+    const status = $('#oc_bf_status');
+    const progress = $('#oc_bf_progress');
+    $('#oc_bf_pause').toggle(!!job && job.status === 'running');
+    $('#oc_bf_resume').toggle(!!job && job.status === 'paused');
+    $('#oc_bf_cancel').toggle(!!job && job.status !== 'done');
+    if (!job) {
+        progress.attr({ value: 0, max: 1 });
+        status.text('');
+        return;
+    }
+    if (job.status === 'listing') {
+        progress.removeAttr('value');
+        status.text(t('bf.listing'));
+        return;
     }
+    const total = job.queue.length;
+    progress.attr({ value: job.next, max: Math.max(total, 1) });
+    const label = { running: t('bf.running'), paused: t('bf.paused'), done: t('bf.done') }[job.status] || job.status;
+    const parts = [t('bf.progress', { label, next: job.next, total })];
+    if (current) parts.push(`${current.name} — ${current.chatId}`);
+    if (job.skipped) parts.push(t('bf.skipped', { count: job.skipped }));
+    if (job.failed) parts.push(t('bf.failed', { count: job.failed }));
+    if (job.error) parts.push(job.error);
+    status.text(parts.join(' · '));
 }
 
-// ─── Settings UI ───────────────────────────────────────────────
+/** Per-character endpoint route for the current character */
+function updateRouteSelect() {
+    const settings = getSettings();
+    const charName = getCharacterName();
+    const select = $('#oc_route').empty();
+    select.append($('<option>').val('').text(t('route.auto')));
+    for (const endpoint of settings.endpoints) {
+        select.append($('<option>').val(endpoint.id).text(endpoint.name || endpoint.url));
+    }
+    select.val(settings.characterRoutes[charName] || '');
+    $('#oc_route_charname').text(charName);
+}
 
 function createSettingsUI() {
     const settings = getSettings();
@@ -404,81 +5176,298 @@ function createSettingsUI() {
             <div class="inline-drawer-content">
 
                 <div class="openclaw-sync-block">
-                    <h4>🔗 連線設定</h4>
+                    <h4>🔗 ${t('ui.connection')}</h4>
+                    <div class="openclaw-sync-row">
+                        <label><input id="oc_enabled" type="checkbox" ${settings.enabled ? 'checked' : ''} /> ${t('ui.enabled')}</label>
+                    </div>
+                    <div class="openclaw-sync-row">
+                        <label>${t('ui.endpoints')}</label>
+                    </div>
+                    <div id="oc_endpoints"></div>
+                    <div class="openclaw-sync-row">
+                        <button id="oc_ep_add" class="menu_button">${t('ui.add_endpoint')}</button>
+                    </div>
+                    <div class="openclaw-sync-row">
+                        <label>${t('ui.route', { name: '<span id="oc_route_charname">—</span>' })}</label>
+                        <select id="oc_route" class="text_pole"></select>
+                    </div>
+                </div>
+
+                <div class="openclaw-sync-block">
+                    <h4>🔐 ${t('ui.auth')}</h4>
+                    <div class="openclaw-sync-row">
+                        <label>Bearer Token</label>
+                        <input id="oc_token" type="password" class="text_pole" autocomplete="off" placeholder="${t('ui.optional')}" />
+                    </div>
+                    <div class="openclaw-sync-row">
+                        <label>${t('ui.secret')}</label>
+                        <input id="oc_secret" type="password" class="text_pole" autocomplete="off" placeholder="${t('ui.optional')}" />
+                    </div>
+                    <div class="openclaw-sync-row">
+                        <label><input id="oc_encrypt" type="checkbox" /> ${t('ui.encrypt')}</label>
+                    </div>
                     <div class="openclaw-sync-row">
-                        <label><input id="oc_enabled" type="checkbox" ${settings.enabled ? 'checked' : ''} /> 啟用同步</label>
+                        <label>${t('ui.passphrase')}</label>
+                        <input id="oc_passphrase" type="password" class="text_pole" autocomplete="off" placeholder="${t('ui.passphrase_hint')}" />
                     </div>
                     <div class="openclaw-sync-row">
-                        <label>同步端點 URL</label>
-                        <input id="oc_url" type="text" class="text_pole" value="${settings.syncUrl}" />
+                        <small>${t('ui.credentials_note')}</small>
+                    </div>
+                    <div class="openclaw-sync-row">
+                        <small id="oc_crypto_warning" style="color:#ef4444;"></small>
                     </div>
                 </div>
 
                 <div class="openclaw-sync-block">
-                    <h4>⚡ 即時同步</h4>
+                    <h4>⚡ ${t('ui.realtime')}</h4>
+                    <div class="openclaw-sync-row">
+                        <label><input id="oc_realtime" type="checkbox" ${settings.realtimeSync ? 'checked' : ''} /> ${t('ui.realtime_enable')}</label>
+                    </div>
                     <div class="openclaw-sync-row">
-                        <label><input id="oc_realtime" type="checkbox" ${settings.realtimeSync ? 'checked' : ''} /> 每條訊息即時同步</label>
+                        <label><input id="oc_mes_buttons" type="checkbox" ${settings.messageButtons ? 'checked' : ''} /> ${t('ui.message_buttons')}</label>
+                    </div>
+                    <div class="openclaw-sync-row" id="oc_turn_meta">
+                        <label>${t('ui.turn_meta')}</label>
+                    </div>
+                    <div class="openclaw-sync-row">
+                        <label>${t('ui.attach_mode')}</label>
+                        <select id="oc_attach_mode" class="text_pole">
+                            <option value="reference">${t('ui.attach_reference')}</option>
+                            <option value="inline">${t('ui.attach_inline')}</option>
+                        </select>
                     </div>
                 </div>
 
                 <div class="openclaw-sync-block">
-                    <h4>📜 完整對話同步</h4>
+                    <h4>📜 ${t('ui.fullsync')}</h4>
                     <div class="openclaw-sync-row">
-                        <label><input id="oc_fullsync" type="checkbox" ${settings.fullConversationSync ? 'checked' : ''} /> 閒置後同步完整對話</label>
+                        <label><input id="oc_fullsync" type="checkbox" ${settings.fullConversationSync ? 'checked' : ''} /> ${t('ui.fullsync_enable')}</label>
                     </div>
                     <div class="openclaw-sync-row">
-                        <label>閒置幾分鐘後同步</label>
+                        <label>${t('ui.idle')}</label>
                         <input id="oc_idle" type="number" class="text_pole" value="${settings.idleTimeoutMinutes}" min="1" max="60" style="width:60px" />
-                        <span>分鐘</span>
+                        <span>${t('ui.minutes')}</span>
+                    </div>
+                    <div class="openclaw-sync-row">
+                        <label><input id="oc_delta" type="checkbox" ${settings.deltaSync ? 'checked' : ''} /> ${t('ui.delta')}</label>
+                    </div>
+                </div>
+
+                <div class="openclaw-sync-block">
+                    <h4>🧾 ${t('ui.summary')}</h4>
+                    <div class="openclaw-sync-row">
+                        <label><input id="oc_summary" type="checkbox" ${settings.sessionSummary ? 'checked' : ''} /> ${t('ui.summary_enable')}</label>
+                    </div>
+                    <div class="openclaw-sync-row">
+                        <label>${t('ui.summary_min')}</label>
+                        <input id="oc_summary_min" type="number" class="text_pole" value="${settings.summaryMinMessages}" min="1" max="100" style="width:60px" />
+                    </div>
+                    <div class="openclaw-sync-row">
+                        <label>${t('ui.summary_prompt')}</label>
+                        <textarea id="oc_summary_prompt" class="text_pole" rows="4"></textarea>
+                    </div>
+                    <div class="openclaw-sync-row">
+                        <small>${t('ui.summary_prompt_help')}</small>
+                    </div>
+                    <div class="openclaw-sync-row">
+                        <button id="oc_summary_now" class="menu_button">${t('ui.summary_now')}</button>
+                        <span id="oc_summary_status"></span>
                     </div>
                 </div>
 
                 <div class="openclaw-sync-block">
-                    <h4>📦 離線 Buffer</h4>
+                    <h4>📦 ${t('ui.buffer')}</h4>
                     <div class="openclaw-sync-row">
-                        <label><input id="oc_buffer" type="checkbox" ${settings.offlineBuffer ? 'checked' : ''} /> 離線時暫存訊息</label>
+                        <label><input id="oc_buffer" type="checkbox" ${settings.offlineBuffer ? 'checked' : ''} /> ${t('ui.buffer_enable')}</label>
                     </div>
                     <div class="openclaw-sync-row">
-                        <label>Buffer 上限</label>
+                        <label>${t('ui.buffer_max')}</label>
                         <input id="oc_bufmax" type="number" class="text_pole" value="${settings.maxBufferSize}" min="10" max="1000" style="width:60px" />
-                        <span>條</span>
+                        <span>${t('ui.items')}</span>
+                    </div>
+                    <div class="openclaw-sync-row">
+                        <label>${t('ui.batch')}</label>
+                        <input id="oc_batch" type="number" class="text_pole" value="${settings.flushBatchSize}" min="1" max="200" style="width:60px" />
+                        <span>${t('ui.items')}</span>
+                    </div>
+                    <div class="openclaw-sync-row">
+                        <small>${t('ui.dead_count', { count: '<span id="oc_deadcount">0</span>' })}</small>
+                        <button id="oc_dead_retry" class="menu_button">${t('ui.dead_retry')}</button>
+                        <button id="oc_dead_clear" class="menu_button">${t('ui.dead_clear')}</button>
+                    </div>
+                    <div class="openclaw-sync-row">
+                        <button id="oc_queue_export" class="menu_button">${t('ui.queue_export')}</button>
+                        <button id="oc_queue_import" class="menu_button">${t('ui.queue_import')}</button>
+                        <input id="oc_queue_file" type="file" accept=".jsonl,.ndjson,.txt" hidden />
+                    </div>
+                    <div class="openclaw-sync-row">
+                        <small id="oc_storage_usage"></small>
+                    </div>
+                    <div class="openclaw-sync-row">
+                        <label><input id="oc_indicator" type="checkbox" ${settings.connectivityIndicator ? 'checked' : ''} /> ${t('ui.indicator')}</label>
+                    </div>
+                </div>
+
+                <div class="openclaw-sync-block">
+                    <h4>🔒 ${t('ui.dedup')}</h4>
+                    <div class="openclaw-sync-row">
+                        <label><input id="oc_dedup" type="checkbox" ${settings.dedup ? 'checked' : ''} /> ${t('ui.dedup_enable')}</label>
+                    </div>
+                    <div class="openclaw-sync-row">
+                        <small>${t('ui.ledger')}</small>
+                        <button id="oc_ledger_refresh" class="menu_button" title="${t('ui.refresh')}">🔄</button>
+                    </div>
+                    <div id="oc_ledger"></div>
+                    <pre id="oc_ledger_detail" class="openclaw-sync-preview" style="display:none"></pre>
+                </div>
+
+                <div class="openclaw-sync-block">
+                    <h4>🛡️ ${t('ui.privacy')}</h4>
+                    <div class="openclaw-sync-row">
+                        <small>${t('ui.rules_help')}</small>
+                    </div>
+                    <div class="openclaw-sync-row">
+                        <label>${t('ui.exclude_rules')}</label>
+                        <textarea id="oc_exclude" class="text_pole" rows="2"></textarea>
+                    </div>
+                    <div class="openclaw-sync-row">
+                        <label>${t('ui.include_rules')}</label>
+                        <textarea id="oc_include" class="text_pole" rows="2"></textarea>
+                    </div>
+                    <div class="openclaw-sync-row" id="oc_redact_builtins">
+                        <label>${t('ui.redact')}</label>
+                    </div>
+                    <div class="openclaw-sync-row">
+                        <label>${t('ui.redact_rules')}</label>
+                        <textarea id="oc_redact_rules" class="text_pole" rows="2"></textarea>
+                    </div>
+                    <div class="openclaw-sync-row">
+                        <button id="oc_preview_btn" class="menu_button">${t('ui.preview')}</button>
+                    </div>
+                    <pre id="oc_preview" class="openclaw-sync-preview" style="display:none"></pre>
+                </div>
+
+                <div class="openclaw-sync-block">
+                    <h4>🧠 ${t('ui.recall')}</h4>
+                    <div class="openclaw-sync-row">
+                        <label><input id="oc_recall" type="checkbox" ${settings.memoryRecall ? 'checked' : ''} /> ${t('ui.recall_enable')}</label>
+                    </div>
+                    <div class="openclaw-sync-row">
+                        <label><input id="oc_recall_char" type="checkbox" /> ${t('ui.recall_char', { name: '<span id="oc_recall_charname">—</span>' })}</label>
+                    </div>
+                    <div class="openclaw-sync-row">
+                        <label>${t('ui.recall_depth')}</label>
+                        <input id="oc_recall_depth" type="number" class="text_pole" value="${settings.recallDepth}" min="0" max="100" style="width:60px" />
+                        <label>${t('ui.recall_budget')}</label>
+                        <input id="oc_recall_budget" type="number" class="text_pole" value="${settings.recallTokenBudget}" min="50" max="4000" style="width:60px" />
+                    </div>
+                    <div class="openclaw-sync-row">
+                        <label>${t('ui.recall_turns')}</label>
+                        <input id="oc_recall_turns" type="number" class="text_pole" value="${settings.recallQueryTurns}" min="1" max="20" style="width:60px" />
+                        <span>${t('ui.messages')}</span>
                     </div>
                 </div>
 
                 <div class="openclaw-sync-block">
-                    <h4>🔒 去重</h4>
+                    <h4>📚 ${t('ui.lorebook')}</h4>
                     <div class="openclaw-sync-row">
-                        <label><input id="oc_dedup" type="checkbox" ${settings.dedup ? 'checked' : ''} /> 重複訊息不再同步</label>
+                        <label><input id="oc_lorebook" type="checkbox" ${settings.memoryLorebook ? 'checked' : ''} /> ${t('ui.lorebook_enable')}</label>
+                    </div>
+                    <div class="openclaw-sync-row">
+                        <label>${t('ui.lorebook_name')}</label>
+                        <input id="oc_lorebook_name" type="text" class="text_pole" />
+                    </div>
+                    <div class="openclaw-sync-row">
+                        <small>${t('ui.lorebook_help')}</small>
+                    </div>
+                    <div class="openclaw-sync-row">
+                        <button id="oc_lorebook_now" class="menu_button">${t('ui.lorebook_now')}</button>
+                        <span id="oc_lorebook_status"></span>
                     </div>
                 </div>
 
                 <div class="openclaw-sync-block">
-                    <h4>🔔 通知</h4>
+                    <h4>🔔 ${t('ui.notifications')}</h4>
+                    <div class="openclaw-sync-row">
+                        <label><input id="oc_notify" type="checkbox" ${settings.showNotifications ? 'checked' : ''} /> ${t('ui.notify')}</label>
+                    </div>
                     <div class="openclaw-sync-row">
-                        <label><input id="oc_notify" type="checkbox" ${settings.showNotifications ? 'checked' : ''} /> 同步成功通知</label>
+                        <label><input id="oc_errors" type="checkbox" ${settings.showErrors ? 'checked' : ''} /> ${t('ui.errors')}</label>
                     </div>
                     <div class="openclaw-sync-row">
-                        <label><input id="oc_errors" type="checkbox" ${settings.showErrors ? 'checked' : ''} /> 顯示錯誤通知</label>
+                        <label>${t('ui.language')}</label>
+                        <select id="oc_language" class="text_pole">
+                            <option value="auto">${t('ui.language_auto')}</option>
+                            ${Object.entries(LOCALE_NAMES).map(([id, name]) => `<option value="${id}">${name}</option>`).join('')}
+                        </select>
                     </div>
                 </div>
 
                 <div class="openclaw-sync-block">
-                    <h4>🧪 測試</h4>
+                    <h4>🧪 ${t('ui.test')}</h4>
                     <div class="openclaw-sync-row">
-                        <button id="oc_test" class="menu_button">測試連線</button>
-                        <button id="oc_flush" class="menu_button">補送離線訊息</button>
-                        <button id="oc_sync_now" class="menu_button">同步完整對話</button>
+                        <button id="oc_test" class="menu_button">${t('ui.test_connection')}</button>
+                        <button id="oc_flush" class="menu_button">${t('ui.flush')}</button>
+                        <button id="oc_sync_now" class="menu_button">${t('ui.sync_now')}</button>
                         <span id="oc_status"></span>
                     </div>
                     <div class="openclaw-sync-row">
-                        <small>Buffer: <span id="oc_bufcount">0</span> 條 | 上次同步: <span id="oc_last">${settings.lastSyncTime || '—'}</span></small>
+                        <small>${t('ui.buffer_status', { count: '<span id="oc_bufcount">0</span>', last: `<span id="oc_last">${settings.lastSyncTime || '—'}</span>` })}<span id="oc_paused"></span></small>
+                    </div>
+                    <div class="openclaw-sync-row">
+                        <small id="oc_leader"></small>
+                    </div>
+                </div>
+
+                <div class="openclaw-sync-block">
+                    <h4>🕰️ ${t('ui.backfill')}</h4>
+                    <div class="openclaw-sync-row">
+                        <label><input id="oc_bf_all" type="checkbox" /> ${t('ui.bf_all')}</label>
+                    </div>
+                    <div class="openclaw-sync-row">
+                        <select id="oc_bf_chars" class="text_pole" multiple size="5"></select>
+                    </div>
+                    <div class="openclaw-sync-row">
+                        <label>${t('ui.bf_delay')}</label>
+                        <input id="oc_bf_delay" type="number" class="text_pole" value="${settings.backfillDelayMs}" min="0" max="60000" step="500" style="width:80px" />
+                        <span>${t('ui.ms')}</span>
+                    </div>
+                    <div class="openclaw-sync-row">
+                        <button id="oc_bf_start" class="menu_button">${t('ui.bf_start')}</button>
+                        <button id="oc_bf_pause" class="menu_button">${t('ui.bf_pause')}</button>
+                        <button id="oc_bf_resume" class="menu_button">${t('ui.bf_resume')}</button>
+                        <button id="oc_bf_cancel" class="menu_button">${t('ui.bf_cancel')}</button>
+                    </div>
+                    <div class="openclaw-sync-row">
+                        <progress id="oc_bf_progress" value="0" max="1"></progress>
+                    </div>
+                    <div class="openclaw-sync-row">
+                        <small id="oc_bf_status"></small>
+                    </div>
+                </div>
+
+                <div class="openclaw-sync-block">
+                    <h4>📋 ${t('ui.activity')}</h4>
+                    <div class="openclaw-sync-row">
+                        <select id="oc_act_type" class="text_pole"><option value="">${t('ui.act_all_types')}</option></select>
+                        <select id="oc_act_result" class="text_pole">
+                            <option value="">${t('ui.act_all')}</option>
+                            <option value="ok">${t('ui.act_ok')}</option>
+                            <option value="error">${t('ui.act_failed')}</option>
+                        </select>
+                        <input id="oc_act_search" type="text" class="text_pole" placeholder="${t('ui.act_search')}" />
+                    </div>
+                    <div id="oc_activity" class="openclaw-sync-activity"></div>
+                    <div class="openclaw-sync-row">
+                        <button id="oc_act_export" class="menu_button">${t('ui.act_export')}</button>
+                        <button id="oc_act_clear" class="menu_button">${t('ui.act_clear')}</button>
                     </div>
                 </div>
 
                 <div class="openclaw-sync-block">
-                    <h4>💾 儲存</h4>
+                    <h4>💾 ${t('ui.save_title')}</h4>
                     <div class="openclaw-sync-row">
-                        <button id="oc_save" class="menu_button" style="background:#2563eb;color:#fff;font-weight:600;">💾 儲存設定</button>
+                        <button id="oc_save" class="menu_button" style="background:#2563eb;color:#fff;font-weight:600;">💾 ${t('ui.save')}</button>
                         <span id="oc_save_status"></span>
                     </div>
                 </div>
@@ -492,59 +5481,404 @@ function createSettingsUI() {
     // ─── Bind all settings ───
     const save = () => persistSettings(getSettings());
 
-    $('#oc_enabled').on('change', function () { getSettings().enabled = this.checked; save(); });
-    $('#oc_url').on('input', function () { getSettings().syncUrl = this.value || DEFAULT_SYNC_URL; save(); });
+    $('#oc_enabled').on('change', function () { getSettings().enabled = this.checked; save(); renderConnectivityIndicator(); });
+    $('#oc_indicator').on('change', function () {
+        const checked = this.checked;
+        updateSettings(s => { s.connectivityIndicator = checked; });
+        renderConnectivityIndicator();
+    });
+    // Endpoint profiles
+    renderEndpointList();
+    updateRouteSelect();
+    $('#oc_ep_add').on('click', function () {
+        updateSettings(s => {
+            s.endpoints = [...s.endpoints, { id: newMessageId(), name: `Endpoint ${s.endpoints.length + 1}`, url: '', enabled: true, adapter: 'openclaw', template: '' }];
+        });
+        renderEndpointList();
+        updateRouteSelect();
+    });
+    $('#oc_endpoints')
+        .on('input', '.oc_ep_name, .oc_ep_url', function () {
+            const id = $(this).closest('.openclaw-sync-endpoint').data('id');
+            const field = $(this).hasClass('oc_ep_name') ? 'name' : 'url';
+            const value = this.value.trim();
+            updateSettings(s => { s.endpoints = s.endpoints.map(e => (e.id === id ? { ...e, [field]: value } : e)); });
+            if (field === 'name') updateRouteSelect();
+            else saveEndpointCapabilities(id, null); // a new URL may be a different receiver
+        })
+        .on('change', '.oc_ep_adapter', function () {
+            const id = $(this).closest('.openclaw-sync-endpoint').data('id');
+            const adapter = this.value;
+            // Templates don't carry over between formats
+            updateSettings(s => { s.endpoints = s.endpoints.map(e => (e.id === id ? { ...e, adapter, template: '' } : e)); });
+            saveEndpointCapabilities(id, null);
+            renderEndpointFormat(id);
+            renderEndpointHealth(id);
+        })
+        .on('click', '.oc_ep_format', function () {
+            const id = $(this).closest('.openclaw-sync-endpoint').data('id');
+            const panel = $(`#oc_endpoints .openclaw-sync-endpoint-format[data-id="${id}"]`).toggle();
+            if (panel.is(':visible')) renderEndpointFormat(id, true);
+        })
+        .on('input', '.oc_ep_template', function () {
+            const id = $(this).closest('.openclaw-sync-endpoint-format').data('id');
+            const template = this.value;
+            updateSettings(s => { s.endpoints = s.endpoints.map(e => (e.id === id ? { ...e, template } : e)); });
+            renderEndpointFormat(id);
+        })
+        .on('change', '.oc_ep_preview_kind', function () {
+            renderEndpointFormat($(this).closest('.openclaw-sync-endpoint-format').data('id'), true);
+        })
+        .on('click', '.oc_ep_template_reset', function () {
+            const id = $(this).closest('.openclaw-sync-endpoint-format').data('id');
+            updateSettings(s => { s.endpoints = s.endpoints.map(e => (e.id === id ? { ...e, template: '' } : e)); });
+            $(this).closest('.openclaw-sync-endpoint-format').find('.oc_ep_template').val('');
+            renderEndpointFormat(id);
+        })
+        .on('change', '.oc_ep_enabled', function () {
+            const id = $(this).closest('.openclaw-sync-endpoint').data('id');
+            const enabled = this.checked;
+            updateSettings(s => { s.endpoints = s.endpoints.map(e => (e.id === id ? { ...e, enabled } : e)); });
+        })
+        .on('click', '.oc_ep_up, .oc_ep_down', function () {
+            const id = $(this).closest('.openclaw-sync-endpoint').data('id');
+            const step = $(this).hasClass('oc_ep_up') ? -1 : 1;
+            updateSettings(s => {
+                const list = [...s.endpoints];
+                const i = list.findIndex(e => e.id === id);
+                const j = i + step;
+                if (i < 0 || j < 0 || j >= list.length) return;
+                [list[i], list[j]] = [list[j], list[i]];
+                s.endpoints = list;
+            });
+            renderEndpointList();
+        })
+        .on('click', '.oc_ep_remove', function () {
+            const id = $(this).closest('.openclaw-sync-endpoint').data('id');
+            if (getSettings().endpoints.length <= 1) {
+                toastr.warning(t('toast.need_endpoint'), 'OpenClaw Sync');
+                return;
+            }
+            updateSettings(s => {
+                s.endpoints = s.endpoints.filter(e => e.id !== id);
+                s.characterRoutes = Object.fromEntries(Object.entries(s.characterRoutes).filter(([, routeId]) => routeId !== id));
+            });
+            saveEndpointCapabilities(id, null);
+            renderEndpointList();
+            updateRouteSelect();
+        })
+        .on('click', '.oc_ep_test', async function () {
+            const id = $(this).closest('.openclaw-sync-endpoint').data('id');
+            const endpoint = getSettings().endpoints.find(e => e.id === id);
+            if (!endpoint) return;
+            try {
+                await reportHandshake(endpoint);
+            } catch (err) {
+                toastr.error(err.message, `OpenClaw · ${endpoint.name}`);
+            }
+        });
+    $('#oc_route').on('change', function () {
+        const charName = getCharacterName();
+        const value = this.value;
+        updateSettings(s => {
+            const routes = { ...s.characterRoutes };
+            if (value) routes[charName] = value;
+            else delete routes[charName];
+            s.characterRoutes = routes;
+        });
+    });
+
+    // Credentials are stored on their own, outside the settings blob
+    const credentials = getCredentials();
+    $('#oc_token').val(credentials.token);
+    $('#oc_secret').val(credentials.secret);
+    $('#oc_passphrase').val(credentials.passphrase);
+    const saveCredentialFields = () => saveCredentials({
+        token: $('#oc_token').val().trim(),
+        secret: $('#oc_secret').val(),
+        passphrase: $('#oc_passphrase').val(),
+    });
+    const renderCryptoWarning = () => $('#oc_crypto_warning').text(webCryptoProblem() || '');
+    renderCryptoWarning();
+    $('#oc_token, #oc_secret').on('input', () => {
+        saveCredentialFields();
+        renderCryptoWarning();
+    });
+    // Key derivation is slow, so re-seal the buffer only once the field is left
+    const applyEncryption = async () => {
+        await refreshSealing();
+        updateBufferCount();
+    };
+    $('#oc_passphrase').on('change', () => {
+        saveCredentialFields();
+        applyEncryption();
+    });
+    $('#oc_encrypt').prop('checked', settings.encryption).on('change', function () {
+        const checked = this.checked;
+        updateSettings(s => { s.encryption = checked; });
+        renderCryptoWarning();
+        applyEncryption();
+        if (checked) checkAllCapabilities();
+    });
     $('#oc_realtime').on('change', function () { getSettings().realtimeSync = this.checked; save(); });
+    $('#oc_mes_buttons').on('change', function () {
+        const checked = this.checked;
+        updateSettings(s => { s.messageButtons = checked; });
+        applyMessageButtonsSetting();
+    });
+    const turnGroups = { ...defaultSettings.turnMetadata, ...settings.turnMetadata };
+    for (const [key, group] of Object.entries(TURN_METADATA_GROUPS)) {
+        const checkbox = $('<input type="checkbox" />').prop('checked', !!turnGroups[key]).on('change', function () {
+            const checked = this.checked;
+            updateSettings(s => { s.turnMetadata = { ...defaultSettings.turnMetadata, ...s.turnMetadata, [key]: checked }; });
+        });
+        $('#oc_turn_meta').append($('<label>').append(checkbox, ` ${group.label}`));
+    }
+    $('#oc_attach_mode').val(settings.attachmentMode).on('change', function () {
+        const value = this.value;
+        updateSettings(s => { s.attachmentMode = value; });
+    });
     $('#oc_fullsync').on('change', function () { getSettings().fullConversationSync = this.checked; save(); });
     $('#oc_idle').on('input', function () { getSettings().idleTimeoutMinutes = parseInt(this.value) || 5; save(); });
+    $('#oc_delta').on('change', function () { getSettings().deltaSync = this.checked; save(); });
+    $('#oc_summary').on('change', function () {
+        const checked = this.checked;
+        updateSettings(s => { s.sessionSummary = checked; });
+        captureSummaryTail();
+    });
+    $('#oc_summary_min').on('input', function () { const value = parseInt(this.value) || 4; updateSettings(s => { s.summaryMinMessages = value; }); });
+    $('#oc_summary_prompt').val(settings.summaryPrompt).attr('placeholder', DEFAULT_SUMMARY_PROMPT);
+    $('#oc_summary_prompt').on('input', function () { const value = this.value; updateSettings(s => { s.summaryPrompt = value; }); });
+    $('#oc_summary_now').on('click', async function () {
+        const st = $('#oc_summary_status');
+        st.text(t('status.summarizing')).css('color', '#888');
+        const result = await summarizeSession('manual');
+        const labels = {
+            sent: t('status.sent'), queued: t('status.queued'), excluded: t('status.chat_excluded'), unsupported: t('status.summary_unsupported'),
+            disabled: t('status.summary_disabled'), too_few: t('status.too_few'), busy: t('status.summary_busy'), error: t('status.failed'),
+        };
+        st.text(labels[result] || result).css('color', result === 'sent' || result === 'queued' ? '#34d399' : '#888');
+    });
     $('#oc_buffer').on('change', function () { getSettings().offlineBuffer = this.checked; save(); });
     $('#oc_bufmax').on('input', function () { getSettings().maxBufferSize = parseInt(this.value) || 100; save(); });
+    $('#oc_batch').on('input', function () { getSettings().flushBatchSize = parseInt(this.value) || 25; save(); });
     $('#oc_dedup').on('change', function () { getSettings().dedup = this.checked; save(); });
+
+    // Dedup ledger — inspect or clear per chat
+    renderLedgerList();
+    $('#oc_ledger_refresh').on('click', renderLedgerList);
+    $('#oc_ledger')
+        .on('click', '.oc_ledger_view', function () {
+            const chatId = $(this).closest('.openclaw-sync-ledger').data('chat');
+            const entries = loadLedger()[chatId] || {};
+            const lines = Object.entries(entries).map(([identity, e]) => `${e.syncedAt}  ${e.type.padEnd(7)} ${identity}  ${e.digest.slice(0, 12)}…`);
+            $('#oc_ledger_detail').text(`${chatId}\n\n${lines.join('\n')}`).show();
+        })
+        .on('click', '.oc_ledger_clear', function () {
+            const chatId = $(this).closest('.openclaw-sync-ledger').data('chat');
+            if (!confirm(t('confirm.clear_ledger', { chat: chatId }))) return;
+            clearLedger(chatId);
+            $('#oc_ledger_detail').hide();
+            renderLedgerList();
+            log(`🧹 Cleared dedup ledger for ${chatId}`);
+        });
+    // Privacy rules and redaction
+    $('#oc_exclude').val(settings.syncExcludeRules);
+    $('#oc_include').val(settings.syncIncludeRules);
+    $('#oc_redact_rules').val(settings.redactRules);
+    $('#oc_exclude').on('input', function () { const value = this.value; updateSettings(s => { s.syncExcludeRules = value; }); });
+    $('#oc_include').on('input', function () { const value = this.value; updateSettings(s => { s.syncIncludeRules = value; }); });
+    $('#oc_redact_rules').on('input', function () { const value = this.value; updateSettings(s => { s.redactRules = value; }); });
+    const builtins = { ...defaultSettings.redactBuiltins, ...settings.redactBuiltins };
+    for (const [key, redaction] of Object.entries(BUILTIN_REDACTIONS)) {
+        const checkbox = $('<input type="checkbox" />').prop('checked', !!builtins[key]).on('change', function () {
+            const checked = this.checked;
+            updateSettings(s => { s.redactBuiltins = { ...defaultSettings.redactBuiltins, ...s.redactBuiltins, [key]: checked }; });
+        });
+        $('#oc_redact_builtins').append($('<label>').append(checkbox, ` ${redaction.label}`));
+    }
+    $('#oc_preview_btn').on('click', async function () {
+        $('#oc_preview').text(await buildSyncPreview()).show();
+    });
+
+    $('#oc_recall').on('change', function () { getSettings().memoryRecall = this.checked; save(); });
+    $('#oc_recall_depth').on('input', function () { getSettings().recallDepth = parseInt(this.value) || 0; save(); });
+    $('#oc_recall_budget').on('input', function () { getSettings().recallTokenBudget = parseInt(this.value) || 400; save(); });
+    $('#oc_recall_turns').on('input', function () { getSettings().recallQueryTurns = parseInt(this.value) || 4; save(); });
+    $('#oc_recall_char').on('change', function () {
+        const s = getSettings();
+        setRecallDisabledFor(s, getCharacterName(), !this.checked);
+        persistSettings(s);
+    });
+    updateRecallCharacterToggle();
+    $('#oc_lorebook_name').val(settings.lorebookName);
+    $('#oc_lorebook').on('change', function () { getSettings().memoryLorebook = this.checked; save(); });
+    $('#oc_lorebook_name').on('change', function () {
+        const value = this.value.trim() || defaultSettings.lorebookName;
+        updateSettings(s => { s.lorebookName = value; });
+        renderLorebookStatus();
+    });
+    $('#oc_lorebook_now').on('click', async function () {
+        const st = $('#oc_lorebook_status');
+        st.text(t('status.syncing')).css('color', '#888');
+        if (!await ensureLeader()) {
+            st.text(`❌ ${t('toast.leader_unavailable')}`).css('color', '#ef4444');
+            return;
+        }
+        const counts = await syncLorebook('manual');
+        if (!counts) {
+            st.text(t('status.not_synced')).css('color', '#ef4444');
+            return;
+        }
+        renderLorebookStatus();
+        toastr.success(t('toast.lorebook_synced', counts), 'OpenClaw Lorebook', { timeOut: 2000 });
+    });
+    renderLorebookStatus();
     $('#oc_notify').on('change', function () { getSettings().showNotifications = this.checked; save(); });
     $('#oc_errors').on('change', function () { getSettings().showErrors = this.checked; save(); });
+    $('#oc_language').val(settings.language).on('change', function () {
+        const language = this.value;
+        updateSettings(s => { s.language = language; });
+        applyLocale();
+        toastr.info(t('toast.language'), 'OpenClaw Sync', { timeOut: 4000 });
+    });
+
+    // Backfill
+    renderBackfillChoices();
+    renderBackfillProgress(loadBackfillJob());
+    $('#oc_bf_all').on('change', function () { $('#oc_bf_chars').prop('disabled', this.checked); });
+    $('#oc_bf_chars').on('focus', renderBackfillChoices);
+    $('#oc_bf_delay').on('input', function () { getSettings().backfillDelayMs = parseInt(this.value) || 0; save(); });
+    $('#oc_bf_start').on('click', async function () {
+        const all = $('#oc_bf_all').is(':checked');
+        const selection = $('#oc_bf_chars').val() || [];
+        if (!all && selection.length === 0) {
+            toastr.warning(t('toast.bf_choose'), 'OpenClaw Sync');
+            return;
+        }
+        const existing = loadBackfillJob();
+        if (existing && existing.status !== 'done' && !confirm(t('confirm.bf_restart'))) return;
+        try {
+            await startBackfill(all ? null : selection);
+        } catch (err) {
+            toastr.error(t('toast.bf_failed', { error: err.message }), 'OpenClaw Sync');
+            renderBackfillProgress(loadBackfillJob());
+        }
+    });
+    $('#oc_bf_pause').on('click', pauseBackfill);
+    $('#oc_bf_resume').on('click', resumeBackfill);
+    $('#oc_bf_cancel').on('click', function () {
+        if (confirm(t('confirm.bf_cancel'))) cancelBackfill();
+    });
+
+    // Activity log
+    renderActivityLog();
+    $('#oc_act_type, #oc_act_result').on('change', renderActivityLog);
+    $('#oc_act_search').on('input', renderActivityLog);
+    $('#oc_act_export').on('click', exportActivityLog);
+
+    // Pending queue — move it between devices
+    $('#oc_queue_export').on('click', exportBuffer);
+    $('#oc_queue_import').on('click', () => $('#oc_queue_file').trigger('click'));
+    $('#oc_queue_file').on('change', async function () {
+        const file = this.files[0];
+        this.value = '';
+        if (!file) return;
+        const { added, skipped, invalid } = await importBuffer(await file.text());
+        toastr.info(`${t('toast.imported', { count: added })}${skipped ? t('toast.import_skipped', { count: skipped }) : ''}${invalid ? t('toast.import_invalid', { count: invalid }) : ''}`, 'OpenClaw Sync');
+        log(`📥 Imported ${added} queue items (${skipped} duplicates, ${invalid} invalid)`);
+        $('#oc_bufcount').text(getBuffer().length);
+        renderStorageUsage();
+    });
+    $('#oc_act_clear').on('click', function () {
+        if (!confirm(t('confirm.clear_activity'))) return;
+        saveActivity([]);
+        renderActivityLog();
+    });
+    $('#oc_activity')
+        .on('click', '.oc_act_resend', async function () {
+            await resendActivity($(this).closest('.openclaw-sync-activity-entry').data('id'));
+        })
+        .on('click', '.oc_act_copy', async function () {
+            const entry = loadActivity().find(e => e.id === $(this).closest('.openclaw-sync-activity-entry').data('id'));
+            if (!entry || !entry.payload) return;
+            await copyText(JSON.stringify(entry.payload, null, 2));
+            toastr.info(t('toast.copied'), 'OpenClaw Sync', { timeOut: 1500 });
+        });
 
     // Update buffer count display
     const updateBufferCount = () => {
         $('#oc_bufcount').text(getBuffer().length);
+        $('#oc_deadcount').text(getDeadLetters().length);
+        renderStorageUsage();
+        renderConnectivityIndicator();
+        const pausedUntil = getSettings().pausedUntil;
+        $('#oc_paused').text(!isSyncPaused() ? ''
+            : pausedUntil === PAUSED_INDEFINITELY ? ` | ${t('ui.paused')}` : ` | ${t('ui.paused_until', { time: new Date(pausedUntil).toLocaleTimeString() })}`);
         $('#oc_last').text(settings.lastSyncTime || '—');
     };
     updateBufferCount();
     setInterval(updateBufferCount, 10000);
 
     // Test button
+    // Handshake with endpoints in failover order; the first that answers is reported
     $('#oc_test').on('click', async function () {
         const st = $('#oc_status');
-        st.text('測試中...').css('color', '#888');
-        try {
-            const res = await fetch(settings.syncUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ type: 'message', character: 'Test', userMessage: '[連線測試]', assistantMessage: '[OK]', chatId: 'test' }),
-            });
-            if (res.ok) {
-                st.text('✅ 連線成功').css('color', '#34d399');
-                toastr.success('連線成功', 'OpenClaw');
-            } else {
-                st.text(`❌ ${res.status}`).css('color', '#ef4444');
+        st.text(t('status.testing')).css('color', '#888');
+        const cryptoProblem = webCryptoProblem();
+        $('#oc_crypto_warning').text(cryptoProblem || '');
+        if (cryptoProblem) {
+            st.text(`❌ ${cryptoProblem}`).css('color', '#ef4444');
+            return;
+        }
+        const endpoints = getEndpointOrder(getCharacterName());
+        if (endpoints.length === 0) {
+            st.text(t('status.no_endpoint')).css('color', '#ef4444');
+            return;
+        }
+        let lastError = null;
+        for (const endpoint of endpoints) {
+            try {
+                const { problems } = await reportHandshake(endpoint);
+                st.text(problems.length ? t('status.test_mismatch', { name: endpoint.name }) : t('status.test_ok', { name: endpoint.name }))
+                    .css('color', problems.length ? '#f59e0b' : '#34d399');
+                return;
+            } catch (err) {
+                lastError = err;
             }
-        } catch (err) {
-            st.text(`❌ ${err.message}`).css('color', '#ef4444');
         }
+        st.text(`❌ ${lastError.message}`).css('color', '#ef4444');
     });
 
     // Flush button
     $('#oc_flush').on('click', async function () {
-        await flushBuffer();
+        await flushBuffer(true);
+        updateBufferCount();
+    });
+
+    // Dead letters — retry or throw away
+    $('#oc_dead_retry').on('click', async function () {
+        const count = requeueDeadLetters();
+        if (count > 0) await flushBuffer(true);
+        updateBufferCount();
+    });
+    $('#oc_dead_clear').on('click', function () {
+        const count = getDeadLetters().length;
+        if (count === 0) return;
+        if (!confirm(t('confirm.clear_dead', { count }))) return;
+        saveDeadLetters([]);
         updateBufferCount();
+        log(`🗑️ Cleared ${count} dead letters`);
     });
 
     // Sync now button — manually trigger full conversation sync
     $('#oc_sync_now').on('click', async function () {
         const st = $('#oc_status');
-        st.text('同步中...').css('color', '#888');
+        st.text(t('status.syncing')).css('color', '#888');
         try {
+            if (!await ensureLeader()) throw new Error(t('toast.leader_unavailable'));
             await syncFullConversation();
-            st.text('✅ 已同步').css('color', '#34d399');
+            st.text(t('status.synced')).css('color', '#34d399');
             updateBufferCount();
             setTimeout(() => st.text(''), 3000);
         } catch (err) {
@@ -559,15 +5893,30 @@ function createSettingsUI() {
 
         // Read all current form values into settings object
         currentSettings.enabled = $('#oc_enabled').is(':checked');
-        currentSettings.syncUrl = $('#oc_url').val() || DEFAULT_SYNC_URL;
         currentSettings.realtimeSync = $('#oc_realtime').is(':checked');
+        currentSettings.messageButtons = $('#oc_mes_buttons').is(':checked');
         currentSettings.fullConversationSync = $('#oc_fullsync').is(':checked');
         currentSettings.idleTimeoutMinutes = parseInt($('#oc_idle').val()) || 5;
+        currentSettings.deltaSync = $('#oc_delta').is(':checked');
         currentSettings.offlineBuffer = $('#oc_buffer').is(':checked');
+        currentSettings.connectivityIndicator = $('#oc_indicator').is(':checked');
         currentSettings.maxBufferSize = parseInt($('#oc_bufmax').val()) || 100;
+        currentSettings.flushBatchSize = parseInt($('#oc_batch').val()) || 25;
+        currentSettings.backfillDelayMs = parseInt($('#oc_bf_delay').val()) || 0;
         currentSettings.dedup = $('#oc_dedup').is(':checked');
+        currentSettings.sessionSummary = $('#oc_summary').is(':checked');
+        currentSettings.summaryMinMessages = parseInt($('#oc_summary_min').val()) || 4;
+        currentSettings.memoryRecall = $('#oc_recall').is(':checked');
+        currentSettings.recallDepth = parseInt($('#oc_recall_depth').val()) || 0;
+        currentSettings.recallTokenBudget = parseInt($('#oc_recall_budget').val()) || 400;
+        currentSettings.recallQueryTurns = parseInt($('#oc_recall_turns').val()) || 4;
+        currentSettings.memoryLorebook = $('#oc_lorebook').is(':checked');
+        currentSettings.lorebookName = $('#oc_lorebook_name').val().trim() || defaultSettings.lorebookName;
         currentSettings.showNotifications = $('#oc_notify').is(':checked');
         currentSettings.showErrors = $('#oc_errors').is(':checked');
+        currentSettings.language = $('#oc_language').val();
+
+        saveCredentialFields();
 
         // Update the window reference
         window.extension_settings[EXTENSION_NAME] = currentSettings;
@@ -577,8 +5926,8 @@ function createSettingsUI() {
 
         // Visual feedback
         const st = $('#oc_save_status');
-        st.text('✅ 已儲存！').css('color', '#34d399');
-        toastr.success('設定已儲存', 'OpenClaw Sync', { timeOut: 2000 });
+        st.text(t('status.saved')).css('color', '#34d399');
+        toastr.success(t('toast.saved'), 'OpenClaw Sync', { timeOut: 2000 });
         setTimeout(() => st.text(''), 3000);
 
         log('💾 Settings saved manually');
@@ -601,9 +5950,16 @@ jQuery(async () => {
         });
     }
 
-    loadSyncedHashes();
+    await initLocalStore();
+    migrateLegacyHashes();
+    pauseBackfill(); // a job left running by a reload waits for resume
     createSettingsUI();
+    startTabCoordination();
     setupEventListeners();
+    registerSlashCommands();
+    startMessageControls();
+    checkAllCapabilities().then(() => syncLorebook('startup'));
+    startConnectivityMonitor();
 
-    log('✅ OpenClaw Memory Sync v2 loaded! URL: ' + getSettings().syncUrl);
+    log('✅ OpenClaw Memory Sync v2 loaded! Endpoints: ' + getSettings().endpoints.map(e => e.url).join(', '));
 });
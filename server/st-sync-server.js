@@ -0,0 +1,773 @@
+/* OpenClaw /st-sync reference receiver
+ *
+ * A dependency-free Node server that implements the endpoint the extension
+ * talks to. Payloads are validated against st-sync.schema.json, then:
+ * - st-chats.jsonl        — every accepted payload, one JSON object per line
+ * - memory/YYYY-MM-DD.md  — daily markdown OpenClaw can load as memory
+ * - memory/st-lorebook.md — corrections made to that memory in ST's lorebook
+ * - state.json            — per-chat dedup digests and delta cursors, lorebook edits
+ * - encryption.json       — KDF salt/iterations, when a passphrase is set
+ *
+ * Usage:   node server/st-sync-server.js
+ * Env:     ST_SYNC_PORT (4000), ST_SYNC_HOST (0.0.0.0), ST_SYNC_PATH (/st-sync),
+ *          ST_SYNC_DATA_DIR (./server/data), ST_SYNC_TOKEN, ST_SYNC_SECRET,
+ *          ST_SYNC_PASSPHRASE, ST_SYNC_ALLOWED_ORIGINS (comma-separated ST page
+ *          origins, e.g. http://127.0.0.1:8000)
+ *
+ * Browsers are only let in from ST_SYNC_ALLOWED_ORIGINS. Payloads that read
+ * memory back (recall, memory_pull) need a token/secret or an allowed origin, and the
+ * server refuses to listen beyond localhost without a token or secret.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+// ─── Configuration ─────────────────────────────────────────────
+const SERVER_NAME = 'st-sync-reference';
+const SERVER_VERSION = '1.0.0';
+const SCHEMA_VERSIONS = [1];                // payload schemaVersions this server accepts
+const SCHEMA_PATH = path.join(__dirname, 'st-sync.schema.json');
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;   // signed requests older/newer than this are rejected
+const RECALL_DEFAULT_LIMIT = 8;
+const RECALL_MAX_FILES = 60;                // most recent daily files searched
+const RECALL_ENTRY_CHARS = 600;
+const LORE_ENTRY_CHARS = 4000;              // per character and day
+const LORE_MAX_KEYWORDS = 6;
+const PBKDF2_ITERATIONS = 310000;           // used for new encryption.json files only
+const MEMORY_READ_TYPES = ['recall', 'memory_pull']; // replies carry stored memory
+const LOOPBACK_HOSTS = ['127.0.0.1', '::1', 'localhost'];
+
+function configFromEnv(env = process.env) {
+    return {
+        port: parseInt(env.ST_SYNC_PORT, 10) || 4000,
+        host: env.ST_SYNC_HOST || '0.0.0.0',
+        path: env.ST_SYNC_PATH || '/st-sync',
+        dataDir: env.ST_SYNC_DATA_DIR || path.join(__dirname, 'data'),
+        token: env.ST_SYNC_TOKEN || '',
+        secret: env.ST_SYNC_SECRET || '',
+        passphrase: env.ST_SYNC_PASSPHRASE || '',
+        allowedOrigins: (env.ST_SYNC_ALLOWED_ORIGINS || '').split(',').map(o => o.trim().replace(/\/+$/, '')).filter(Boolean),
+    };
+}
+
+// ─── Helpers ───────────────────────────────────────────────────
+
+function log(msg) {
+    console.log(`[st-sync] ${msg}`);
+}
+
+function sha256(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+/** Local date, so daily files roll over at the user's midnight */
+function dateKey(date = new Date()) {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function timeOfDay(date = new Date()) {
+    return `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function safeEqual(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// ─── Schema Validation ─────────────────────────────────────────
+// Covers the subset of draft-07 the published schema uses: type, const,
+// enum, required, properties, items, minLength, minimum, $ref and oneOf.
+
+function loadSchema() {
+    return JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function resolveRef(root, ref) {
+    return ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], root);
+}
+
+function validate(schema, value, root, at = '$') {
+    if (schema.$ref) return validate(resolveRef(root, schema.$ref), value, root, at);
+
+    if (schema.oneOf) {
+        // Payloads are discriminated by `type`; report against the matching branch
+        const branches = schema.oneOf.map(s => (s.$ref ? resolveRef(root, s.$ref) : s));
+        const branch = branches.find(b => b.properties?.type?.const === value?.type);
+        if (!branch) return [`${at}.type: unknown payload type ${JSON.stringify(value?.type)}`];
+        return validate(branch, value, root, at);
+    }
+
+    const errors = [];
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(t => matchesType(value, t))) return [`${at}: expected ${types.join(' or ')}`];
+    }
+    if ('const' in schema && value !== schema.const) errors.push(`${at}: expected ${JSON.stringify(schema.const)}`);
+    if (schema.enum && !schema.enum.includes(value)) errors.push(`${at}: expected one of ${schema.enum.join(', ')}`);
+    if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push(`${at}: shorter than ${schema.minLength}`);
+    }
+    if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${at}: below ${schema.minimum}`);
+    }
+    if (typeOf(value) === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) errors.push(`${at}.${key}: required`);
+        }
+        for (const [key, sub] of Object.entries(schema.properties || {})) {
+            if (value[key] !== undefined) errors.push(...validate(sub, value[key], root, `${at}.${key}`));
+        }
+    }
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, i) => errors.push(...validate(schema.items, item, root, `${at}[${i}]`)));
+    }
+    return errors;
+}
+
+// ─── Storage ───────────────────────────────────────────────────
+
+/**
+ * Files under dataDir. State is small (digests, cursors) and rewritten
+ * whole after each change; logs are append-only.
+ */
+function createStore(dataDir) {
+    const memoryDir = path.join(dataDir, 'memory');
+    const logPath = path.join(dataDir, 'st-chats.jsonl');
+    const statePath = path.join(dataDir, 'state.json');
+    fs.mkdirSync(memoryDir, { recursive: true });
+
+    let state = { chats: {} };
+    try {
+        state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    } catch (_) { }
+    if (!state.lore) state.lore = {};
+
+    return {
+        memoryDir,
+
+        chat(chatId) {
+            const key = chatId || '';
+            if (!state.chats[key]) state.chats[key] = { cursor: null, messages: {}, turns: {} };
+            return state.chats[key];
+        },
+
+        /** Lorebook edits from ST, by entry id: { base, deleted } or { base, title, content, keywords } */
+        lore() {
+            return state.lore;
+        },
+
+        saveState() {
+            const tmp = statePath + '.tmp';
+            fs.writeFileSync(tmp, JSON.stringify(state));
+            fs.renameSync(tmp, statePath);
+        },
+
+        appendLog(payload) {
+            fs.appendFileSync(logPath, JSON.stringify({ receivedAt: new Date().toISOString(), ...payload }) + '\n');
+        },
+
+        appendMemory(markdown) {
+            const file = path.join(memoryDir, `${dateKey()}.md`);
+            const header = fs.existsSync(file) ? '' : `# SillyTavern — ${dateKey()}\n\n`;
+            fs.appendFileSync(file, header + markdown.trimEnd() + '\n\n');
+        },
+
+        /** Kept apart from the daily files so a correction doesn't change the entry it corrects */
+        appendCorrection(markdown) {
+            const file = path.join(memoryDir, 'st-lorebook.md');
+            const header = fs.existsSync(file) ? '' : '# SillyTavern — lorebook corrections\n\n';
+            fs.appendFileSync(file, header + markdown.trimEnd() + '\n\n');
+        },
+
+        /** Daily memory files, newest first */
+        memoryFiles() {
+            return fs.readdirSync(memoryDir)
+                .filter(name => /^\d{4}-\d{2}-\d{2}\.md$/.test(name))
+                .sort()
+                .reverse()
+                .map(name => path.join(memoryDir, name));
+        },
+    };
+}
+
+// ─── Payload Handlers ──────────────────────────────────────────
+// Each takes (store, payload, config) and returns { status, body }. Writes
+// happen only for content the server hasn't seen, so retries and re-sends
+// are harmless.
+
+function messageDigest(m) {
+    return sha256(`${m.swipeId ?? 0}|${m.pinned ? 'pinned|' : ''}${m.content}`);
+}
+
+/** Pinned messages are marked so OpenClaw weighs them more */
+function speakerLine(name, content, pinned = false) {
+    return `${pinned ? '📌 ' : ''}**${name}:** ${content}`;
+}
+
+function heading(payload, title) {
+    const who = payload.group ? `${payload.character} (group)` : payload.character;
+    return `### ${timeOfDay()} · ${who}${title ? ` — ${title}` : ''}`;
+}
+
+/** Write conversation messages the server doesn't have yet; returns how many */
+function writeNewMessages(store, chat, payload, messages, title) {
+    const fresh = messages.filter(m => chat.messages[m.id] !== messageDigest(m));
+    if (fresh.length > 0) {
+        const lines = fresh.map(m => speakerLine(m.name || m.role, m.content, m.pinned));
+        store.appendMemory(`${heading(payload, `${title} (${fresh.length})`)}\n\n${lines.join('\n\n')}`);
+    }
+    for (const m of messages) chat.messages[m.id] = messageDigest(m);
+    return fresh.length;
+}
+
+const handlers = {
+    message(store, payload) {
+        const chat = store.chat(payload.chatId);
+        const digest = sha256(`${payload.userMessage}\u0000${payload.assistantMessage}${payload.priority ? `\u0000${payload.priority}` : ''}`);
+        const identity = `${payload.assistantMessageId || digest}#${payload.swipeId ?? 0}`;
+        if (chat.turns[identity] === digest) return { status: 200, body: { ok: true, duplicate: true } };
+
+        chat.turns[identity] = digest;
+        if (payload.userMessageId) chat.messages[payload.userMessageId] = messageDigest({ content: payload.userMessage });
+        if (payload.assistantMessageId) {
+            chat.messages[payload.assistantMessageId] = messageDigest({ swipeId: payload.swipeId, content: payload.assistantMessage });
+        }
+        store.appendLog(payload);
+        const userName = payload.persona?.name || 'User';
+        const speaker = payload.speaker || payload.character;
+        const pinned = payload.pinnedRoles || [];
+        // A side excluded in ST arrives empty
+        const lines = [];
+        if (payload.userMessage) lines.push(speakerLine(userName, payload.userMessage, pinned.includes('user')));
+        if (payload.assistantMessage) lines.push(speakerLine(speaker, payload.assistantMessage, pinned.includes('assistant')));
+        for (const a of payload.attachments || []) lines.push(`📎 ${a.kind}: ${a.name || a.url || '(inline)'}${a.url ? ` <${a.url}>` : ''}`);
+        const title = [payload.priority === 'pinned' && '📌 pinned', payload.generation?.model].filter(Boolean).join(' · ');
+        store.appendMemory(`${heading(payload, title)}\n\n${lines.join('\n\n')}`);
+        return { status: 200, body: { ok: true } };
+    },
+
+    full_conversation(store, payload) {
+        const chat = store.chat(payload.chatId);
+        const previous = chat.messages;
+        chat.messages = {};
+        // Compare against what we had, but keep only what the chat has now
+        const written = writeNewMessages(store, { messages: previous }, payload, payload.messages, 'conversation');
+        for (const m of payload.messages) chat.messages[m.id] = messageDigest(m);
+        chat.cursor = payload.cursor || payload.messages[payload.messages.length - 1]?.id || null;
+        if (written > 0) store.appendLog(payload);
+        return { status: 200, body: { ok: true, ack: chat.cursor, written } };
+    },
+
+    conversation_delta(store, payload) {
+        const chat = store.chat(payload.chatId);
+        if (chat.cursor !== payload.baseCursor) {
+            return { status: 409, body: { ok: false, resync: true, reason: 'gap' } };
+        }
+        const written = writeNewMessages(store, chat, payload, payload.messages, 'conversation update');
+        for (const id of payload.removedIds) delete chat.messages[id];
+        chat.cursor = payload.cursor;
+        store.appendLog(payload);
+        return { status: 200, body: { ok: true, ack: chat.cursor, written } };
+    },
+
+    update(store, payload) {
+        const chat = store.chat(payload.chatId);
+        const digest = messageDigest(payload);
+        if (chat.messages[payload.messageId] === digest) return { status: 200, body: { ok: true, duplicate: true } };
+        chat.messages[payload.messageId] = digest;
+        store.appendLog(payload);
+        store.appendMemory(`> ✏️ ${timeOfDay()} edited (${payload.speaker || payload.role}): ${payload.content}`);
+        return { status: 200, body: { ok: true } };
+    },
+
+    swipe(store, payload) {
+        const chat = store.chat(payload.chatId);
+        const digest = messageDigest(payload);
+        if (chat.messages[payload.messageId] === digest) return { status: 200, body: { ok: true, duplicate: true } };
+        chat.messages[payload.messageId] = digest;
+        store.appendLog(payload);
+        const position = payload.swipeCount ? ` ${payload.swipeId + 1}/${payload.swipeCount}` : '';
+        store.appendMemory(`> 🔀 ${timeOfDay()} ${payload.speaker || payload.character} — reply replaced by swipe${position}:\n> ${payload.content}`);
+        return { status: 200, body: { ok: true } };
+    },
+
+    retract(store, payload) {
+        const chat = store.chat(payload.chatId);
+        const known = payload.messageIds.filter(id => chat.messages[id] !== undefined);
+        if (known.length === 0) return { status: 200, body: { ok: true, duplicate: true } };
+        // A single deleted swipe leaves the message itself in place
+        if (payload.swipeId === undefined) for (const id of known) delete chat.messages[id];
+        store.appendLog(payload);
+        const what = payload.swipeId === undefined ? `${known.length} message(s)` : `swipe ${payload.swipeId + 1}`;
+        store.appendMemory(`> 🗑️ ${timeOfDay()} ${what} deleted in ${payload.character || payload.chatId} — disregard them`);
+        return { status: 200, body: { ok: true } };
+    },
+
+    note(store, payload) {
+        const chat = store.chat(payload.chatId);
+        const identity = `note#${sha256(`${payload.character}\u0000${payload.content}`)}`;
+        if (chat.turns[identity]) return { status: 200, body: { ok: true, duplicate: true } };
+        chat.turns[identity] = '1';
+        store.appendLog(payload);
+        store.appendMemory(`${heading(payload, '📝 note')}\n\n${payload.content}`);
+        return { status: 200, body: { ok: true } };
+    },
+
+    summary(store, payload) {
+        const chat = store.chat(payload.chatId);
+        const identity = `summary#${payload.toMessageId || sha256(payload.content)}`;
+        if (chat.turns[identity]) return { status: 200, body: { ok: true, duplicate: true } };
+        chat.turns[identity] = '1';
+        store.appendLog(payload);
+        const parts = [payload.summary || payload.content];
+        if (payload.keyFacts?.length) parts.push(`Key facts:\n${payload.keyFacts.map(f => `- ${f}`).join('\n')}`);
+        if (payload.relationshipChanges?.length) {
+            parts.push(`Relationship changes:\n${payload.relationshipChanges.map(c => `- ${c}`).join('\n')}`);
+        }
+        store.appendMemory(`${heading(payload, `🧾 summary of ${payload.messageCount ?? '?'} messages`)}\n\n${parts.join('\n\n')}`);
+        return { status: 200, body: { ok: true } };
+    },
+
+    history(store, payload) {
+        const chat = store.chat(payload.chatId);
+        const identity = `history#${payload.part}`;
+        const digest = sha256(JSON.stringify(payload.messages));
+        if (chat.turns[identity] === digest) return { status: 200, body: { ok: true, duplicate: true } };
+        chat.turns[identity] = digest;
+        for (const m of payload.messages) chat.messages[m.id] = messageDigest(m);
+        // The full transcript goes to the log only — old chats would swamp today's memory file
+        store.appendLog(payload);
+        if (payload.part === payload.totalParts - 1) {
+            store.appendMemory(`> 🕰️ ${timeOfDay()} imported ${payload.messageCount ?? payload.messages.length} past messages of ${payload.character} (${payload.chatId})`);
+        }
+        return { status: 200, body: { ok: true } };
+    },
+
+    recall(store, payload) {
+        return { status: 200, body: { entries: searchMemory(store, payload) } };
+    },
+
+    memory_pull(store) {
+        return { status: 200, body: { ok: true, entries: listLoreEntries(store).map(({ base, ...entry }) => entry) } };
+    },
+
+    memory_edit(store, payload) {
+        const derived = deriveLoreEntries(store).find(e => e.id === payload.id);
+        // Rotated out of the searched files — nothing left to correct
+        if (!derived) return { status: 200, body: { ok: true, unknown: true } };
+
+        const edit = payload.action === 'delete'
+            ? { base: derived.base, deleted: true }
+            : {
+                base: derived.base,
+                title: payload.title ?? derived.title,
+                content: payload.content ?? derived.content,
+                keywords: payload.keywords ?? derived.keywords,
+            };
+        const lore = store.lore();
+        if (JSON.stringify(lore[payload.id]) === JSON.stringify(edit)) return { status: 200, body: { ok: true, duplicate: true } };
+        lore[payload.id] = edit;
+        store.appendLog(payload);
+        store.appendCorrection(edit.deleted
+            ? `> 🗑️ ${dateKey()} ${timeOfDay()} "${derived.title}" removed in SillyTavern — disregard it`
+            : `### ${dateKey()} ${timeOfDay()} · ${derived.character} — ✏️ "${derived.title}" corrected in SillyTavern\n\n${edit.content}`);
+        return { status: 200, body: { ok: true } };
+    },
+
+    capabilities(_store, _payload, config) {
+        return {
+            status: 200,
+            body: {
+                ok: true,
+                server: SERVER_NAME,
+                version: SERVER_VERSION,
+                schemaVersions: SCHEMA_VERSIONS,
+                types: Object.keys(handlers).filter(type => type !== 'capabilities').concat('batch'),
+                features: {
+                    batch: true,
+                    delta: true,
+                    auth: [config.token && 'token', config.secret && 'signature'].filter(Boolean),
+                    encryption: config.encryption
+                        ? {
+                            kdf: 'PBKDF2-SHA256',
+                            cipher: 'AES-256-GCM',
+                            salt: config.encryption.salt,
+                            iterations: config.encryption.iterations,
+                            keyId: config.encryption.keyId,
+                        }
+                        : false,
+                },
+            },
+        };
+    },
+};
+
+// ─── Encryption ────────────────────────────────────────────────
+// With ST_SYNC_PASSPHRASE set, payloads arrive as { type: 'encrypted', keyId,
+// iv, data }: AES-256-GCM under a PBKDF2-SHA256 key. The salt is generated
+// once and kept in encryption.json; the extension learns it (never the key)
+// from the capabilities reply. WebCrypto appends the 16-byte tag to `data`.
+
+function loadEncryption(dataDir, passphrase) {
+    if (!passphrase) return null;
+    const file = path.join(dataDir, 'encryption.json');
+    let params;
+    try {
+        params = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (_) {
+        params = { salt: crypto.randomBytes(16).toString('base64'), iterations: PBKDF2_ITERATIONS };
+        fs.mkdirSync(dataDir, { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(params, null, 2));
+    }
+    const key = crypto.pbkdf2Sync(passphrase, Buffer.from(params.salt, 'base64'), params.iterations, 32, 'sha256');
+    return { ...params, key, keyId: sha256(key).slice(0, 16) };
+}
+
+/** Decrypted inner payload; throws if the key is wrong or the data was altered */
+function openEnvelope(encryption, envelope) {
+    const data = Buffer.from(envelope.data, 'base64');
+    if (data.length < 16) throw new Error('ciphertext too short');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryption.key, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAuthTag(data.subarray(data.length - 16));
+    const plain = Buffer.concat([decipher.update(data.subarray(0, data.length - 16)), decipher.final()]);
+    return JSON.parse(plain.toString('utf8'));
+}
+
+function sealEnvelope(encryption, value) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryption.key, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final(), cipher.getAuthTag()]);
+    return { type: 'encrypted', keyId: encryption.keyId, iv: iv.toString('base64'), data: data.toString('base64') };
+}
+
+/** Unwrap an envelope, handle what's inside, and wrap the reply the same way */
+function dispatchEncrypted(context, envelope) {
+    const { encryption } = context.config;
+    if (!encryption) return { status: 403, body: { ok: false, error: 'encryption not configured' } };
+    if (envelope.keyId !== encryption.keyId) return { status: 403, body: { ok: false, error: 'passphrase mismatch' } };
+    let payload;
+    try {
+        payload = openEnvelope(encryption, envelope);
+    } catch (_) {
+        return { status: 400, body: { ok: false, error: 'cannot decrypt payload' } };
+    }
+    if (payload?.type === 'encrypted') return { status: 400, body: { ok: false, error: 'nested envelope' } };
+    const result = dispatch(context, payload, true);
+    return { status: result.status, body: sealEnvelope(encryption, result.body), inner: { payload, body: result.body } };
+}
+
+// ─── Recall ────────────────────────────────────────────────────
+
+/** Words, plus character bigrams for CJK text (which has no spaces) */
+function tokenize(text) {
+    const tokens = new Set();
+    for (const word of (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []) {
+        if (/\p{Script=Han}|\p{Script=Hiragana}|\p{Script=Katakana}/u.test(word)) {
+            for (let i = 0; i < word.length - 1; i++) tokens.add(word.slice(i, i + 2));
+        } else if (word.length > 2) {
+            tokens.add(word);
+        }
+    }
+    return tokens;
+}
+
+/** Score memory sections by overlap with the recent turns; newest wins ties */
+function searchMemory(store, payload) {
+    const query = tokenize(payload.query.map(q => q.content).join('\n'));
+    const character = (payload.character || '').toLowerCase();
+    if (query.size === 0) return [];
+
+    const scored = [];
+    store.memoryFiles().slice(0, RECALL_MAX_FILES).forEach((file, age) => {
+        const date = path.basename(file, '.md');
+        const sections = fs.readFileSync(file, 'utf8').split(/\n(?=### )/);
+        for (const section of sections) {
+            if (!section.startsWith('### ')) continue;
+            const tokens = tokenize(section);
+            let hits = 0;
+            for (const token of query) if (tokens.has(token)) hits++;
+            if (hits === 0) continue;
+            const aboutCharacter = character && section.split('\n')[0].toLowerCase().includes(character);
+            scored.push({ text: `[${date}] ${section.slice(4).trim()}`.slice(0, RECALL_ENTRY_CHARS), date, score: hits * (aboutCharacter ? 2 : 1), age });
+        }
+    });
+
+    return scored
+        .sort((a, b) => b.score - a.score || a.age - b.age)
+        .slice(0, payload.limit || RECALL_DEFAULT_LIMIT)
+        .map(({ text, date, score }) => ({ text, date, score }));
+}
+
+// ─── Lorebook ──────────────────────────────────────────────────
+// memory_pull presents the daily files as one entry per character and day.
+// Edits and deletions made in ST are kept in state against a digest of the
+// entry they changed: once new memory is written for that character and
+// day, the entry is derived afresh and the edit no longer applies.
+
+/** Capitalized words used mid-sentence, most frequent first — names and places, mostly */
+function properNouns(text, exclude) {
+    const counts = new Map();
+    for (const [, word] of text.matchAll(/[\p{Ll}\p{N},;:] (\p{Lu}[\p{L}'-]{2,})/gu)) {
+        if (!exclude.has(word.toLowerCase())) counts.set(word, (counts.get(word) || 0) + 1);
+    }
+    return [...counts].sort((a, b) => b[1] - a[1]).map(([word]) => word);
+}
+
+function deriveLoreEntries(store) {
+    const entries = new Map();
+    for (const file of store.memoryFiles().slice(0, RECALL_MAX_FILES)) {
+        const date = path.basename(file, '.md');
+        const updatedAt = fs.statSync(file).mtime.toISOString();
+        for (const section of fs.readFileSync(file, 'utf8').split(/\n(?=### )/)) {
+            const match = section.match(/^### (\d{2}:\d{2}) · (.+?)(?: \(group\))?(?: — (.*))?\n/);
+            if (!match) continue;
+            const [, time, character, title] = match;
+            const id = `${date}/${sha256(character).slice(0, 12)}`;
+            if (!entries.has(id)) entries.set(id, { id, character, title: `${character} · ${date}`, parts: [], updatedAt });
+            entries.get(id).parts.push(`[${time}${title ? ` ${title}` : ''}]\n${section.slice(match[0].length).trim()}`);
+        }
+    }
+
+    return [...entries.values()].map(({ parts, ...entry }) => {
+        const content = parts.join('\n\n').slice(0, LORE_ENTRY_CHARS);
+        const speakers = new Set([...content.matchAll(/\*\*(.+?):\*\*/g)].map(m => m[1].toLowerCase()));
+        speakers.add(entry.character.toLowerCase());
+        const keywords = [entry.character, ...properNouns(content, speakers)].slice(0, LORE_MAX_KEYWORDS);
+        return { ...entry, content, keywords, base: sha256(JSON.stringify([content, keywords])) };
+    });
+}
+
+/** Derived entries with ST's edits applied; deleted ones left out */
+function listLoreEntries(store) {
+    const lore = store.lore();
+    const entries = [];
+    for (const entry of deriveLoreEntries(store)) {
+        const edit = lore[entry.id];
+        if (edit && edit.base !== entry.base) delete lore[entry.id];
+        else if (edit?.deleted) continue;
+        else if (edit) {
+            entries.push({ ...entry, title: edit.title, content: edit.content, keywords: edit.keywords });
+            continue;
+        }
+        entries.push(entry);
+    }
+    return entries;
+}
+
+// ─── Request Handling ──────────────────────────────────────────
+
+function createNonceCache() {
+    const seen = new Map(); // nonce → expiry
+    return {
+        /** false if the nonce was already used inside the skew window */
+        claim(nonce) {
+            const now = Date.now();
+            for (const [key, expiry] of seen) if (expiry < now) seen.delete(key);
+            if (seen.has(nonce)) return false;
+            seen.set(nonce, now + 2 * MAX_CLOCK_SKEW_MS);
+            return true;
+        },
+    };
+}
+
+/** Bearer token and HMAC signature checks; returns an error string or null */
+function checkAuth(config, nonces, req, rawBody) {
+    if (config.token) {
+        const header = req.headers['authorization'] || '';
+        if (!safeEqual(header, `Bearer ${config.token}`)) return 'invalid token';
+    }
+    if (config.secret) {
+        const timestamp = req.headers['x-openclaw-timestamp'];
+        const nonce = req.headers['x-openclaw-nonce'];
+        const signature = req.headers['x-openclaw-signature'];
+        if (!timestamp || !nonce || !signature) return 'missing signature';
+        if (Math.abs(Date.now() - Number(timestamp)) > MAX_CLOCK_SKEW_MS) return 'stale timestamp';
+        const expected = 'sha256=' + crypto.createHmac('sha256', config.secret).update(`${timestamp}.${nonce}.${rawBody}`).digest('hex');
+        if (!safeEqual(signature, expected)) return 'bad signature';
+        if (!nonces.claim(nonce)) return 'replayed nonce';
+    }
+    return null;
+}
+
+/** Browsers always send Origin cross-site; requests without one come from scripts */
+function isOriginAllowed(config, origin) {
+    if (!origin) return true;
+    return config.allowedOrigins.includes('*') || config.allowedOrigins.includes(origin);
+}
+
+/**
+ * Memory may be read back by authenticated requests or from an origin named
+ * in ST_SYNC_ALLOWED_ORIGINS (the wildcard doesn't count)
+ */
+function canReadMemory(config, origin) {
+    if (config.token || config.secret) return true; // checkAuth already passed
+    return !!origin && config.allowedOrigins.includes(origin);
+}
+
+/**
+ * Validate and apply one payload; batches recurse into their items. With a
+ * passphrase configured, plaintext is refused except for the handshake.
+ */
+function dispatch(context, payload, decrypted = false) {
+    const { store, schema, config } = context;
+    const version = payload?.schemaVersion ?? 1;
+    if (!SCHEMA_VERSIONS.includes(version)) {
+        return { status: 400, body: { ok: false, error: `unsupported schemaVersion ${version}`, schemaVersions: SCHEMA_VERSIONS } };
+    }
+    if (config.encryption && !decrypted && !['capabilities', 'encrypted'].includes(payload?.type)) {
+        return { status: 403, body: { ok: false, error: 'encryption required' } };
+    }
+    const errors = validate(schema, payload, schema);
+    if (errors.length > 0) return { status: 400, body: { ok: false, error: 'invalid payload', details: errors } };
+
+    if (payload.type === 'encrypted') return dispatchEncrypted(context, payload);
+    if (MEMORY_READ_TYPES.includes(payload.type) && !context.canReadMemory) {
+        return { status: 403, body: { ok: false, error: `${payload.type} requires ST_SYNC_TOKEN, ST_SYNC_SECRET or an allowed origin` } };
+    }
+
+    if (payload.type === 'batch') {
+        const results = payload.items.map(item => {
+            if (item.payload?.type === 'batch') return { id: item.id, ok: false, retry: false, error: 'nested batch' };
+            try {
+                const result = dispatch(context, item.payload, decrypted);
+                if (result.status < 300) return { id: item.id, ok: true };
+                return { id: item.id, ok: false, retry: false, error: result.body.error || `HTTP ${result.status}` };
+            } catch (err) {
+                return { id: item.id, ok: false, retry: true, error: err.message };
+            }
+        });
+        return { status: 200, body: { ok: true, results } };
+    }
+
+    return handlers[payload.type](store, payload, config);
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(Object.assign(new Error('payload too large'), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+function send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+/** The extension runs on another origin (the ST page); only allowed origins get CORS */
+function setCorsHeaders(config, req, res) {
+    res.setHeader('Vary', 'Origin');
+    const origin = req.headers.origin;
+    if (!origin || !isOriginAllowed(config, origin)) return;
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-OpenClaw-Timestamp, X-OpenClaw-Nonce, X-OpenClaw-Signature');
+    if (req.headers['access-control-request-private-network']) {
+        res.setHeader('Access-Control-Allow-Private-Network', 'true');
+    }
+}
+
+/**
+ * Build (but don't start) the receiver. `options` overrides configFromEnv(),
+ * so a test harness can point it at a temporary dataDir.
+ */
+function createServer(options = {}) {
+    const config = { ...configFromEnv(), ...options };
+    config.encryption = loadEncryption(config.dataDir, config.passphrase);
+    const context = { config, schema: loadSchema(), store: createStore(config.dataDir) };
+    const nonces = createNonceCache();
+
+    const server = http.createServer(async (req, res) => {
+        setCorsHeaders(config, req, res);
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname !== config.path) return send(res, 404, { ok: false, error: 'not found' });
+        // A form or no-cors fetch from any page skips the preflight, so refuse here too
+        const origin = req.headers.origin;
+        if (!isOriginAllowed(config, origin)) return send(res, 403, { ok: false, error: `origin ${origin} not allowed` });
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            return res.end();
+        }
+        if (req.method !== 'POST') return send(res, 405, { ok: false, error: 'method not allowed' });
+
+        try {
+            const rawBody = await readBody(req);
+            const authError = checkAuth(config, nonces, req, rawBody);
+            if (authError) return send(res, 401, { ok: false, error: authError });
+
+            let payload;
+            try {
+                payload = JSON.parse(rawBody);
+            } catch (_) {
+                return send(res, 400, { ok: false, error: 'invalid JSON' });
+            }
+
+            const result = dispatch({ ...context, canReadMemory: canReadMemory(config, origin) }, payload);
+            context.store.saveState();
+            const { payload: shown, body } = result.inner || { payload, body: result.body };
+            const lock = result.inner ? '🔒 ' : '';
+            if (result.status >= 400) log(`⚠️ ${lock}${shown.type}: ${result.status} ${body.error || ''}`);
+            else log(`✅ ${lock}${shown.type}${shown.chatId ? ` (${shown.chatId})` : ''}${shown.origin ? ` from ${shown.origin.deviceId.slice(0, 8)}` : ''}${body.duplicate ? ' — duplicate' : ''}`);
+            send(res, result.status, result.body);
+        } catch (err) {
+            log(`❌ ${err.message}`);
+            send(res, err.status || 500, { ok: false, error: err.message });
+        }
+    });
+
+    server.config = config;
+    return server;
+}
+
+// ─── Main ──────────────────────────────────────────────────────
+
+if (require.main === module) {
+    const server = createServer();
+    const { host, port, path: endpoint, dataDir, token, secret, encryption, allowedOrigins } = server.config;
+    if (!token && !secret && !LOOPBACK_HOSTS.includes(host)) {
+        log(`❌ Refusing to listen on ${host} without ST_SYNC_TOKEN or ST_SYNC_SECRET (or set ST_SYNC_HOST=127.0.0.1)`);
+        process.exit(1);
+    }
+    server.listen(port, host, () => {
+        log(`${SERVER_NAME} ${SERVER_VERSION} listening on http://${host}:${port}${endpoint}`);
+        log(`Data: ${dataDir}`);
+        log(`Auth: ${[token && 'bearer token', secret && 'HMAC signature'].filter(Boolean).join(' + ') || 'none'}`);
+        log(`Allowed origins: ${allowedOrigins.join(', ') || 'none (scripts only)'}`);
+        log(`Encryption: ${encryption ? `AES-256-GCM (key ${encryption.keyId})` : 'off'}`);
+    });
+}
+
+module.exports = { createServer, configFromEnv, validate, loadSchema };
@@ -0,0 +1,282 @@
+/* Tests for the extension (index.js) against the reference receiver. The
+ * script runs in a vm context with a mocked SillyTavern.getContext(), a
+ * stand-in for jQuery/toastr and an in-memory localStorage; what it sends is
+ * read back from the receiver's st-chats.jsonl. */
+
+'use strict';
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const vm = require('node:vm');
+const { test } = require('node:test');
+
+const { createServer } = require('../server/st-sync-server');
+
+const SOURCE = fs.readFileSync(path.join(__dirname, '..', 'index.js'), 'utf8');
+
+async function startServer(t) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'st-sync-client-'));
+    const server = createServer({ dataDir, token: '', secret: '', passphrase: '', allowedOrigins: [] });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => {
+        server.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+    return {
+        url: `http://127.0.0.1:${server.address().port}${server.config.path}`,
+        /** Every payload the receiver accepted, oldest first */
+        received() {
+            const file = path.join(dataDir, 'st-chats.jsonl');
+            if (!fs.existsSync(file)) return [];
+            return fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+        },
+    };
+}
+
+class MemoryStorage {
+    constructor() { this.items = new Map(); }
+    get length() { return this.items.size; }
+    key(i) { return [...this.items.keys()][i] ?? null; }
+    getItem(key) { return this.items.has(key) ? this.items.get(key) : null; }
+    setItem(key, value) { this.items.set(key, String(value)); }
+    removeItem(key) { this.items.delete(key); }
+}
+
+const JQUERY_GETTERS = ['val', 'text', 'html']; // no arguments: read
+const JQUERY_KEYED_GETTERS = ['attr', 'prop', 'data', 'css']; // one name: read
+
+/**
+ * Chainable no-op standing in for jQuery: an empty selection whose setters
+ * return itself. `$(fn)` keeps the extension's init for loadExtension to run.
+ */
+function fakeJQuery() {
+    const chain = new Proxy(function () { }, {
+        get(_, prop) {
+            if (prop === 'then') return undefined; // not a thenable
+            if (prop === 'length') return 0;
+            if (prop === Symbol.iterator) return function* () { };
+            if (prop === 'is') return () => false;
+            if (JQUERY_GETTERS.includes(prop)) return (...args) => (args.length === 0 ? '' : chain);
+            if (JQUERY_KEYED_GETTERS.includes(prop)) return (...args) => (args.length === 1 && typeof args[0] === 'string' ? undefined : chain);
+            return () => chain;
+        },
+        apply() { return chain; },
+    });
+    let ready = null;
+    const $ = (arg) => {
+        if (typeof arg === 'function') ready = arg;
+        return chain;
+    };
+    return { $, ready: () => ready };
+}
+
+function createEventSource() {
+    const handlers = new Map();
+    return {
+        on(type, fn) { (handlers.get(type) || handlers.set(type, []).get(type)).push(fn); },
+        async emit(type, ...args) {
+            for (const fn of handlers.get(type) || []) await fn(...args);
+        },
+    };
+}
+
+const EVENT_TYPES = {
+    MESSAGE_RECEIVED: 'message_received',
+    MESSAGE_EDITED: 'message_edited',
+    MESSAGE_SWIPED: 'message_swiped',
+    MESSAGE_DELETED: 'message_deleted',
+    CHAT_CHANGED: 'chat_id_changed',
+};
+
+/**
+ * Load index.js as SillyTavern would, pointed at `url`. `chat` is the open
+ * chat; `stApi` answers SillyTavern's own /api/ routes.
+ */
+async function loadExtension(t, { url, chat = [], settings = {}, stApi = {}, characters = [] }) {
+    const timers = new Set();
+    t.after(() => timers.forEach(handle => clearTimeout(handle)));
+    const track = (set) => (fn, ms, ...args) => {
+        const handle = set(fn, ms, ...args);
+        timers.add(handle);
+        return handle;
+    };
+
+    const localStorage = new MemoryStorage();
+    localStorage.setItem('openclaw_sync_settings', JSON.stringify({
+        syncUrl: url, showNotifications: false, backfillDelayMs: 0, ...settings,
+    }));
+
+    const toasts = [];
+    const toast = kind => message => { toasts.push({ kind, message }); };
+    const eventSource = createEventSource();
+    const context = {
+        chat,
+        chatId: 'Alice - 2024-05-01',
+        characters: [{ name: 'Alice', avatar: 'alice.png' }, ...characters],
+        characterId: 0,
+        groups: [],
+        name1: 'Bob',
+        name2: 'Alice',
+        eventSource,
+        eventTypes: EVENT_TYPES,
+        saved: 0,
+        saveChat() { this.saved++; },
+        getRequestHeaders: () => ({ 'Content-Type': 'application/json' }),
+        getCurrentLocale: () => 'en',
+    };
+
+    const { $, ready } = fakeJQuery();
+    const sandbox = {
+        console: { log() { }, warn() { }, error() { } },
+        setTimeout: track(setTimeout),
+        setInterval: track(setInterval),
+        clearTimeout,
+        clearInterval,
+        fetch: async (resource, init) => {
+            const target = String(resource);
+            if (!target.startsWith('/api/')) return fetch(resource, init);
+            const handler = stApi[target];
+            if (!handler) return new Response('not found', { status: 404 });
+            return Response.json(await handler(JSON.parse(init.body)));
+        },
+        Response, Request, Headers, Blob, URL, AbortController, TextEncoder, TextDecoder, TypeError,
+        crypto: globalThis.crypto,
+        structuredClone, atob, btoa, queueMicrotask,
+        localStorage,
+        navigator: { language: 'en', onLine: true },
+        document: { hidden: false, addEventListener() { }, execCommand() { } },
+        addEventListener() { },
+        isSecureContext: true,
+        $, jQuery: $,
+        toastr: { success: toast('success'), info: toast('info'), warning: toast('warning'), error: toast('error') },
+        SillyTavern: { getContext: () => context },
+    };
+    sandbox.window = sandbox;
+    vm.createContext(sandbox);
+    vm.runInContext(SOURCE, sandbox, { filename: 'index.js' });
+    await ready()();
+
+    return {
+        context,
+        toasts,
+        emit: (type, ...args) => eventSource.emit(type, ...args),
+        run: code => vm.runInContext(code, sandbox),
+    };
+}
+
+function message(name, mes, isUser = false) {
+    return { name, mes, is_user: isUser, is_system: false, send_date: '2024-05-01 10:00', extra: {} };
+}
+
+function openChat() {
+    return [
+        message('Bob', 'We met in Riverdale.', true),
+        message('Alice', 'I remember the bridge there.'),
+    ];
+}
+
+test('a received reply is sent once as a turn with stable message IDs', async t => {
+    const server = await startServer(t);
+    const chat = openChat();
+    const ext = await loadExtension(t, { url: server.url, chat });
+    assert.deepEqual(ext.toasts.filter(toast => toast.kind === 'error'), [], 'the handshake found no mismatch');
+
+    await ext.emit(EVENT_TYPES.MESSAGE_RECEIVED, 1);
+    const [turn] = server.received().filter(p => p.type === 'message');
+    assert.equal(turn.userMessage, 'We met in Riverdale.');
+    assert.equal(turn.assistantMessage, 'I remember the bridge there.');
+    assert.equal(turn.userMessageId, chat[0].extra.openclaw_id);
+    assert.equal(turn.assistantMessageId, chat[1].extra.openclaw_id);
+
+    // The ledger knows the turn now
+    const again = await ext.run(`(() => {
+        const { chat, chatId } = SillyTavern.getContext();
+        return syncMessage(chat[0].mes, chat[1].mes, chatId, {
+            userMessageId: peekMessageId(chat[0]), assistantMessageId: peekMessageId(chat[1]), swipeId: 0, userMsg: chat[0], aiMsg: chat[1],
+        });
+    })()`);
+    assert.equal(again, 'duplicate');
+
+    // ST firing the event twice for one reply doesn't add a second turn either
+    await ext.emit(EVENT_TYPES.MESSAGE_RECEIVED, 1);
+    assert.equal(server.received().filter(p => p.type === 'message' || p.type === 'swipe').length, 1);
+});
+
+test('a full sync is skipped while the chat is unchanged and keeps its IDs', async t => {
+    const server = await startServer(t);
+    const chat = openChat();
+    const ext = await loadExtension(t, { url: server.url, chat, settings: { deltaSync: false } });
+
+    assert.equal(await ext.run('syncFullConversation()'), 'synced');
+    assert.equal(await ext.run('syncFullConversation()'), 'unchanged');
+    const full = server.received().filter(p => p.type === 'full_conversation');
+    assert.equal(full.length, 1);
+    assert.deepEqual(full[0].messages.map(m => m.id), chat.map(m => m.extra.openclaw_id));
+    assert.ok(ext.context.saved > 0, 'new IDs are saved with the chat');
+
+    chat.push(message('Bob', 'Shall we go back?', true), message('Alice', 'Tomorrow, at dawn.'));
+    assert.equal(await ext.run('syncFullConversation()'), 'synced');
+    assert.equal(server.received().filter(p => p.type === 'full_conversation').length, 2);
+});
+
+test('edits, swipes and deletions follow the message ID', async t => {
+    const server = await startServer(t);
+    const chat = openChat();
+    const ext = await loadExtension(t, { url: server.url, chat });
+    await ext.emit(EVENT_TYPES.MESSAGE_RECEIVED, 1);
+    const replyId = chat[1].extra.openclaw_id;
+
+    chat[1].mes = 'I remember the old stone bridge there.';
+    await ext.emit(EVENT_TYPES.MESSAGE_EDITED, 1);
+    const update = server.received().find(p => p.type === 'update');
+    assert.equal(update.messageId, replyId);
+    assert.equal(update.content, 'I remember the old stone bridge there.');
+
+    // Saving the edit again doesn't change the receiver's log
+    await ext.emit(EVENT_TYPES.MESSAGE_EDITED, 1);
+    assert.equal(server.received().filter(p => p.type === 'update').length, 1);
+
+    chat[1].swipes = [chat[1].mes, 'The bridge? I barely recall it.'];
+    chat[1].swipe_id = 1;
+    chat[1].mes = chat[1].swipes[1];
+    await ext.emit(EVENT_TYPES.MESSAGE_SWIPED, 1);
+    const swipe = server.received().find(p => p.type === 'swipe');
+    assert.equal(swipe.messageId, replyId);
+    assert.equal(swipe.swipeId, 1);
+    assert.equal(swipe.content, 'The bridge? I barely recall it.');
+
+    chat.splice(1, 1);
+    await ext.emit(EVENT_TYPES.MESSAGE_DELETED, 1);
+    const retract = server.received().find(p => p.type === 'retract');
+    assert.deepEqual(retract.messageIds, [replyId]);
+});
+
+test('backfill uploads saved chats as history parts, once', async t => {
+    const server = await startServer(t);
+    const saved = [
+        { user_name: 'Bob', character_name: 'Carol' },
+        message('Bob', 'Remember the lighthouse?', true),
+        message('Carol', 'The one on the northern cape.'),
+    ];
+    const stApi = {
+        '/api/characters/chats': ({ avatar_url }) => (avatar_url === 'carol.png'
+            ? [{ file_name: 'Carol - 2023-01-02 @10h 00m 00s.jsonl', last_mes: '2023-01-02' }]
+            : []),
+        '/api/chats/get': ({ file_name }) => (file_name === 'Carol - 2023-01-02 @10h 00m 00s' ? saved : []),
+    };
+    const ext = await loadExtension(t, { url: server.url, stApi, characters: [{ name: 'Carol', avatar: 'carol.png' }] });
+
+    await ext.run(`startBackfill(['char:carol.png'])`);
+    const history = server.received().filter(p => p.type === 'history');
+    assert.equal(history.length, 1);
+    assert.equal(history[0].character, 'Carol');
+    assert.equal(history[0].chatId, 'Carol - 2023-01-02 @10h 00m 00s');
+    assert.deepEqual(history[0].messages.map(m => m.content), ['Remember the lighthouse?', 'The one on the northern cape.']);
+    assert.equal(JSON.parse(ext.run(`JSON.stringify(loadBackfillJob())`)).status, 'done');
+
+    // Running it again only uploads what changed
+    await ext.run(`startBackfill(['char:carol.png'])`);
+    assert.equal(server.received().filter(p => p.type === 'history').length, 1);
+});
@@ -0,0 +1,152 @@
+/* Smoke tests for the reference /st-sync receiver: each test starts its own
+ * server on a random port with a temporary data directory. */
+
+'use strict';
+
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { test } = require('node:test');
+
+const { createServer } = require('../server/st-sync-server');
+
+const ST_ORIGIN = 'http://127.0.0.1:8000';
+
+async function startServer(t, options = {}) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'st-sync-test-'));
+    const server = createServer({ dataDir, token: '', secret: '', passphrase: '', allowedOrigins: [ST_ORIGIN], ...options });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => {
+        server.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+    const url = `http://127.0.0.1:${server.address().port}${server.config.path}`;
+    return {
+        dataDir,
+        async post(payload, headers = {}) {
+            const res = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...headers },
+                body: typeof payload === 'string' ? payload : JSON.stringify(payload),
+            });
+            return { status: res.status, headers: res.headers, body: await res.json() };
+        },
+    };
+}
+
+function turn(overrides = {}) {
+    return {
+        type: 'message',
+        schemaVersion: 1,
+        character: 'Alice',
+        chatId: 'Alice - 2024-05-01',
+        userMessage: 'We met in Riverdale.',
+        assistantMessage: 'I remember the bridge there.',
+        userMessageId: 'u1',
+        assistantMessageId: 'a1',
+        ...overrides,
+    };
+}
+
+test('a message is written once and a re-send is reported as duplicate', async t => {
+    const { post, dataDir } = await startServer(t);
+
+    const first = await post(turn());
+    assert.equal(first.status, 200);
+    assert.deepEqual(first.body, { ok: true });
+
+    const again = await post(turn());
+    assert.equal(again.status, 200);
+    assert.equal(again.body.duplicate, true);
+
+    const log = fs.readFileSync(path.join(dataDir, 'st-chats.jsonl'), 'utf8').trim().split('\n');
+    assert.equal(log.length, 1);
+    const memoryDir = path.join(dataDir, 'memory');
+    const memory = fs.readdirSync(memoryDir).map(f => fs.readFileSync(path.join(memoryDir, f), 'utf8')).join('\n');
+    assert.equal(memory.split('I remember the bridge there.').length - 1, 1);
+});
+
+test('payloads that break the schema are rejected with details', async t => {
+    const { post } = await startServer(t);
+
+    const missing = await post({ type: 'message', character: 'Alice', chatId: 'c' });
+    assert.equal(missing.status, 400);
+    assert.equal(missing.body.error, 'invalid payload');
+    assert.ok(missing.body.details.length > 0);
+
+    const version = await post(turn({ schemaVersion: 99 }));
+    assert.equal(version.status, 400);
+    assert.match(version.body.error, /unsupported schemaVersion/);
+
+    const garbage = await post('{not json');
+    assert.equal(garbage.status, 400);
+    assert.equal(garbage.body.error, 'invalid JSON');
+});
+
+test('a configured bearer token is required', async t => {
+    const { post } = await startServer(t, { token: 'sekrit' });
+
+    assert.equal((await post(turn())).status, 401);
+    assert.equal((await post(turn(), { Authorization: 'Bearer wrong' })).status, 401);
+    assert.equal((await post(turn(), { Authorization: 'Bearer sekrit' })).status, 200);
+});
+
+test('signed bodies are checked and nonces cannot be replayed', async t => {
+    const secret = 'hmac-secret';
+    const { post } = await startServer(t, { secret });
+    const body = JSON.stringify(turn());
+    const sign = (timestamp, nonce) => ({
+        'X-OpenClaw-Timestamp': String(timestamp),
+        'X-OpenClaw-Nonce': nonce,
+        'X-OpenClaw-Signature': 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${nonce}.${body}`).digest('hex'),
+    });
+
+    assert.equal((await post(body)).body.error, 'missing signature');
+    const headers = sign(Date.now(), 'nonce-1');
+    assert.equal((await post(body, headers)).status, 200);
+    assert.equal((await post(body, headers)).body.error, 'replayed nonce');
+    assert.equal((await post(body, sign(Date.now() - 60 * 60 * 1000, 'nonce-2'))).body.error, 'stale timestamp');
+});
+
+test('browsers are only let in from allowed origins', async t => {
+    const { post } = await startServer(t);
+
+    const evil = await post(turn(), { Origin: 'https://evil.example' });
+    assert.equal(evil.status, 403);
+    assert.equal(evil.headers.get('access-control-allow-origin'), null);
+
+    const st = await post(turn(), { Origin: ST_ORIGIN });
+    assert.equal(st.status, 200);
+    assert.equal(st.headers.get('access-control-allow-origin'), ST_ORIGIN);
+});
+
+test('memory is only read back with auth or from an allowed origin', async t => {
+    const recall = { type: 'recall', character: 'Alice', query: [{ role: 'user', content: 'Riverdale bridge' }] };
+    const pull = { type: 'memory_pull' };
+
+    const open = await startServer(t);
+    await open.post(turn());
+    assert.equal((await open.post(recall)).status, 403);
+    assert.equal((await open.post(pull)).status, 403);
+    assert.equal((await open.post(recall, { Origin: ST_ORIGIN })).status, 200);
+    const pulled = await open.post(pull, { Origin: ST_ORIGIN });
+    assert.equal(pulled.status, 200);
+    assert.ok(pulled.body.entries.some(e => e.content.includes('Riverdale')));
+
+    const wildcard = await startServer(t, { allowedOrigins: ['*'] });
+    assert.equal((await wildcard.post(pull, { Origin: 'https://evil.example' })).status, 403);
+
+    const authed = await startServer(t, { token: 'sekrit' });
+    assert.equal((await authed.post(recall, { Authorization: 'Bearer sekrit' })).status, 200);
+});
+
+test('the handshake lists the supported types', async t => {
+    const { post } = await startServer(t);
+    const res = await post({ type: 'capabilities', schemaVersion: 1 });
+    assert.equal(res.status, 200);
+    assert.ok(res.body.types.includes('message'));
+    assert.ok(res.body.types.includes('batch'));
+    assert.deepEqual(res.body.schemaVersions, [1]);
+});